@@ -0,0 +1,49 @@
+// =====================================================
+// Sends a sample alert and a sample report through the email channel,
+// e.g. to a local SMTP catcher (see README, "Email channel").
+// Usage: npm run email:test -- you@example.com
+// =====================================================
+
+require('dotenv').config();
+
+const { isEmailConfigured, isValidEmail, sendEmail, renderNotificationEmail, renderReportEmail } = require('../services/emailChannel');
+
+async function main() {
+  const to = process.argv[2];
+  if (!isValidEmail(to)) {
+    console.error('Usage: npm run email:test -- <recipient email>');
+    process.exit(1);
+  }
+  if (!isEmailConfigured()) {
+    console.error('SMTP_HOST is not set; see .env.example');
+    process.exit(1);
+  }
+
+  const samples = [
+    renderNotificationEmail({
+      title: 'Threshold Alert: UV',
+      message: 'Threshold crossed - UV: 8.2 (>= 7.0)',
+      type: 'alert'
+    }),
+    renderReportEmail({
+      title: 'CampusSense Report 18:00',
+      subtitle: 'Since 12:00 (6 h)',
+      columns: ['Metric', 'Min', 'Avg', 'Max'],
+      rows: [
+        ['Temperature', '24.1 °C', '26.3 °C', '28.9 °C'],
+        ['Humidity', '48 %', '55 %', '63 %']
+      ],
+      footer: 'No alerts were raised in this period.'
+    })
+  ];
+
+  let failed = false;
+  for (const content of samples) {
+    const result = await sendEmail({ to, ...content, maxAttempts: 1 });
+    console.log(`[email] ${content.subject}: ${result.sent ? 'sent' : `failed (${result.error})`}`);
+    failed = failed || !result.sent;
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -4,34 +4,55 @@
 
 require('dotenv').config();
 
+const crypto = require('crypto');
 const express = require('express');
 const path = require('path');
 
-const {
-  startTelegramBot,
-  getBotInstance,
-  formatStatus
-} = require('./services/telegramBot');
+const { startTelegramBot, getBotInstance, isValidWebhookSecret } = require('./services/telegramBot');
+const { handleTelegramMessage } = require('./services/telegramCommands');
 
 const { startMqttClient } = require('./services/mqttClient');
+const { startIngestQueue, getIngestQueueStatus } = require('./services/ingestQueue');
+const { openEventStream } = require('./services/liveStream');
+const { resolveExportFormat, streamSensorExport } = require('./services/dataExport');
+const { resolveReportFormat, generatePeriodReport } = require('./services/periodReport');
+const { dispatchScheduledReport, dispatchThresholdAlerts } = require('./services/notifier');
+const { invalidateWebhookCache } = require('./services/webhooks');
+const { startNotificationOutbox } = require('./services/notificationOutbox');
 
 const {
   DEFAULT_USER_ID,
+  resolveSettingsOwner,
+  checkSensorDataSchema,
+  backfillDerivedMetrics,
   getLatestSensorData,
+  describeSensorHealth,
   getGraphData,
+  prepareSensorExport,
+  getDevices,
+  getCalibrationProfiles,
+  saveCalibrationProfile,
+  deleteCalibrationProfile,
+  getSensorRejects,
   getWebNotifications,
   markNotificationRead,
+  getNotificationDeliveries,
   getThresholdSettings,
   setThresholdSettings,
   getNotificationSettings,
   setNotificationSettings,
   processScheduledReportDispatch,
+  processSensorWatchdog,
+  getReportHistory,
   getVapidPublicKey,
   savePushSubscription,
   deactivatePushSubscription,
-  getActiveTelegramSubscribers,
-  upsertTelegramSubscriber,
-  setTelegramSubscription,
+  getTelegramChatsForUser,
+  unlinkTelegramChat,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
   buildShareLinks
 } = require('./services/supabaseClient');
 
@@ -47,6 +68,27 @@ function resolveUserId(req) {
   return fromQuery || fromBody || DEFAULT_USER_ID;
 }
 
+// Calibration profiles correct every user's readings, so like /set in Telegram
+// (TELEGRAM_ADMIN_CHAT_IDS) their writes are admin-only: the request must carry
+// "Authorization: Bearer <ADMIN_API_TOKEN>". Without a token configured they are refused.
+function requireAdmin(req, res, next) {
+  const token = String(process.env.ADMIN_API_TOKEN || '').trim();
+  if (!token) {
+    return res.status(403).json({ error: 'Admin API disabled; set ADMIN_API_TOKEN to enable it' });
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  const expected = Buffer.from(token);
+  const received = Buffer.from(match ? match[1].trim() : '');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  return next();
+}
+
+function resolveDeviceFilter(req) {
+  return String(req.query?.device_id || '').trim() || undefined;
+}
+
 function resolveOrigin(req) {
   const host = req.get('host');
   if (!host) return process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
@@ -58,27 +100,12 @@ async function runScheduledReportTick() {
   if (scheduledReportTickBusy) return;
   scheduledReportTickBusy = true;
   try {
-    const result = await processScheduledReportDispatch();
-    if (!result?.sent) return;
-
-    console.log(`[reports] sent ${result.dateYMD} ${result.nowHHMM}`);
-    const bot = getBotInstance();
-    if (!bot) return;
-
-    const subscribers = await getActiveTelegramSubscribers();
-    if (subscribers.length > 0) {
-      for (const chatId of subscribers) {
-        try {
-          await bot.sendMessage(chatId, `CampusSense Report\n${result.message}`);
-        } catch (sendErr) {
-          console.warn(`[telegram] report send failed for chat ${chatId}:`, sendErr.message);
-        }
-      }
-      return;
-    }
+    const results = await processScheduledReportDispatch();
+    for (const result of results) {
+      if (!result?.sent) continue;
+      console.log(`[reports] sent ${result.dateYMD} ${result.reportTime}${result.late ? ' (late)' : ''} (${result.userId})`);
 
-    if (process.env.TELEGRAM_CHAT_ID) {
-      await bot.sendMessage(process.env.TELEGRAM_CHAT_ID, `CampusSense Report\n${result.message}`);
+      await dispatchScheduledReport(result);
     }
   } catch (err) {
     console.error('[reports] scheduler tick failed:', err.message);
@@ -87,26 +114,60 @@ async function runScheduledReportTick() {
   }
 }
 
+let sensorWatchdogTickBusy = false;
+async function runSensorWatchdogTick() {
+  if (sensorWatchdogTickBusy) return;
+  sensorWatchdogTickBusy = true;
+  try {
+    const results = await processSensorWatchdog();
+    for (const result of results) {
+      for (const event of result?.events || []) {
+        console.log(`[watchdog] ${event.event} ${event.device_id} ${event.metric} (${result.userId})`);
+      }
+    }
+    await dispatchThresholdAlerts(results);
+  } catch (err) {
+    console.error('[watchdog] tick failed:', err.message);
+  } finally {
+    sensorWatchdogTickBusy = false;
+  }
+}
+
 // ===============================
 // ROUTES
 // ===============================
 
 app.get('/api/data', async (req, res) => {
   try {
-    const data = await getLatestSensorData();
+    const data = await getLatestSensorData({ deviceId: resolveDeviceFilter(req) });
     if (!data) return res.status(204).send();
-    res.json(data);
+    res.json({ ...data, ...describeSensorHealth(data) });
   } catch (err) {
     console.error('[api/data] failed:', err.message);
     res.status(500).json({ error: 'Failed to fetch latest data' });
   }
 });
 
+app.get('/api/stream', async (req, res) => {
+  try {
+    const audience = await resolveSettingsOwner(resolveUserId(req));
+    openEventStream(req, res, { audience, deviceId: resolveDeviceFilter(req) });
+  } catch (err) {
+    console.error('[api/stream] failed:', err.message);
+    res.status(500).json({ error: 'Failed to open event stream' });
+  }
+});
+
 app.get('/api/graph-data', async (req, res) => {
   try {
     const points = await getGraphData({
       metric: req.query?.type,
       range: req.query?.range,
+      from: req.query?.from,
+      to: req.query?.to,
+      bucket: req.query?.bucket,
+      points: req.query?.points,
+      deviceId: resolveDeviceFilter(req),
       userId: resolveUserId(req)
     });
     res.json(points);
@@ -118,6 +179,99 @@ app.get('/api/graph-data', async (req, res) => {
   }
 });
 
+app.get('/api/export', async (req, res) => {
+  const format = resolveExportFormat(req.query?.format);
+  if (!format) return res.status(400).json({ error: 'format must be csv, json or ndjson' });
+
+  let plan;
+  try {
+    plan = prepareSensorExport({
+      range: req.query?.range,
+      from: req.query?.from,
+      to: req.query?.to,
+      metrics: req.query?.metrics,
+      bucket: req.query?.bucket,
+      deviceId: resolveDeviceFilter(req)
+    });
+  } catch (err) {
+    const status = err?.statusCode === 400 ? 400 : 500;
+    const message = status === 400 ? err.message : 'Failed to prepare export';
+    if (status === 500) console.error('[api/export] failed:', err.message);
+    return res.status(status).json({ error: message });
+  }
+
+  try {
+    await streamSensorExport(res, plan, format);
+  } catch (err) {
+    console.error('[api/export] stream failed:', err.message);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to export data' });
+    else res.destroy(err);
+  }
+});
+
+app.get('/api/devices', async (_req, res) => {
+  try {
+    const devices = await getDevices();
+    res.json(devices);
+  } catch (err) {
+    console.error('[api/devices] failed:', err.message);
+    res.status(500).json({ error: 'Failed to fetch devices' });
+  }
+});
+
+app.get('/api/calibration', async (_req, res) => {
+  try {
+    const profiles = await getCalibrationProfiles();
+    res.json(profiles);
+  } catch (err) {
+    console.error('[api/calibration] list failed:', err.message);
+    res.status(500).json({ error: 'Failed to fetch calibration profiles' });
+  }
+});
+
+app.post('/api/calibration', requireAdmin, async (req, res) => {
+  try {
+    const profile = await saveCalibrationProfile(req.body);
+    res.json(profile);
+  } catch (err) {
+    const status = err?.statusCode === 400 ? 400 : 500;
+    const message = status === 400 ? err.message : 'Failed to save calibration profile';
+    if (status === 500) console.error('[api/calibration] save failed:', err.message);
+    res.status(status).json({ error: message });
+  }
+});
+
+app.delete('/api/calibration/:metric', requireAdmin, async (req, res) => {
+  try {
+    await deleteCalibrationProfile(req.params.metric, req.query?.device_id);
+    res.json({ ok: true });
+  } catch (err) {
+    const status = err?.statusCode === 400 || err?.statusCode === 404 ? err.statusCode : 500;
+    const message = status === 500 ? 'Failed to delete calibration profile' : err.message;
+    if (status === 500) console.error('[api/calibration] delete failed:', err.message);
+    res.status(status).json({ error: message });
+  }
+});
+
+app.get('/api/ingest/status', (_req, res) => {
+  res.json(getIngestQueueStatus());
+});
+
+app.get('/api/ingest/rejects', async (req, res) => {
+  try {
+    const rejects = await getSensorRejects({
+      limit: req.query?.limit,
+      deviceId: resolveDeviceFilter(req)
+    });
+    res.json(rejects);
+  } catch (err) {
+    const status = err?.statusCode === 400 ? 400 : 500;
+    const message = status === 400 ? err.message : 'Failed to fetch ingest rejects';
+    if (status === 500) console.error('[api/ingest/rejects] failed:', err.message);
+    res.status(status).json({ error: message });
+  }
+});
+
 app.get('/api/notifications', async (req, res) => {
   try {
     const data = await getWebNotifications(req.query?.limit, resolveUserId(req));
@@ -130,7 +284,7 @@ app.get('/api/notifications', async (req, res) => {
 
 app.post('/api/notifications/read/:id', async (req, res) => {
   try {
-    await markNotificationRead(req.params.id);
+    await markNotificationRead(req.params.id, resolveUserId(req));
     res.json({ ok: true });
   } catch (err) {
     console.error('[api/notifications/read] failed:', err.message);
@@ -138,6 +292,18 @@ app.post('/api/notifications/read/:id', async (req, res) => {
   }
 });
 
+app.get('/api/notifications/:id/deliveries', async (req, res) => {
+  try {
+    const data = await getNotificationDeliveries(req.params.id, resolveUserId(req));
+    res.json(data);
+  } catch (err) {
+    const status = err?.statusCode === 400 ? 400 : 500;
+    const message = status === 400 ? err.message : 'Failed to fetch deliveries';
+    if (status === 500) console.error('[api/notifications/deliveries] failed:', err.message);
+    res.status(status).json({ error: message });
+  }
+});
+
 app.get('/api/get-thresholds', async (req, res) => {
   try {
     const data = await getThresholdSettings(resolveUserId(req));
@@ -182,6 +348,38 @@ app.post('/api/save-settings', async (req, res) => {
   }
 });
 
+app.get('/api/reports/history', async (req, res) => {
+  try {
+    const data = await getReportHistory(resolveUserId(req), req.query?.limit);
+    res.json(data);
+  } catch (err) {
+    console.error('[api/reports/history] failed:', err.message);
+    res.status(500).json({ error: 'Failed to fetch report history' });
+  }
+});
+
+// Weekly / monthly report as an HTML page or a PDF download.
+app.get('/api/reports/:period', async (req, res) => {
+  const format = resolveReportFormat(req.query?.format);
+  if (!format) return res.status(400).json({ error: 'format must be html or pdf' });
+
+  try {
+    const report = await generatePeriodReport(req.params.period, {
+      userId: resolveUserId(req),
+      date: req.query?.date,
+      format
+    });
+    res.setHeader('Content-Type', report.contentType);
+    if (format === 'pdf') res.setHeader('Content-Disposition', `attachment; filename="${report.filename}"`);
+    res.send(report.content);
+  } catch (err) {
+    const status = err?.statusCode === 400 ? 400 : 500;
+    const message = status === 400 ? err.message : 'Failed to build report';
+    if (status === 500) console.error('[api/reports] failed:', err.message);
+    res.status(status).json({ error: message });
+  }
+});
+
 app.get('/api/share-link', async (req, res) => {
   try {
     const userId = resolveUserId(req);
@@ -230,37 +428,91 @@ app.post('/api/push/unsubscribe', async (req, res) => {
   }
 });
 
+app.get('/api/telegram/chats', async (req, res) => {
+  try {
+    const chats = await getTelegramChatsForUser(resolveUserId(req));
+    res.json(chats);
+  } catch (err) {
+    console.error('[api/telegram/chats] failed:', err.message);
+    res.status(500).json({ error: 'Failed to fetch linked Telegram chats' });
+  }
+});
+
+app.delete('/api/telegram/chats/:chatId', async (req, res) => {
+  try {
+    await unlinkTelegramChat(req.params.chatId, resolveUserId(req));
+    const bot = getBotInstance();
+    if (bot) {
+      bot.sendMessage(req.params.chatId, 'This chat was unlinked from the CampusSense dashboard. Send /start to subscribe again.')
+        .catch((sendErr) => console.warn('[telegram] unlink notice failed:', sendErr.message));
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    const status = err?.statusCode === 400 || err?.statusCode === 404 ? err.statusCode : 500;
+    const message = status === 500 ? 'Failed to unlink Telegram chat' : err.message;
+    if (status === 500) console.error('[api/telegram/chats] unlink failed:', err.message);
+    res.status(status).json({ error: message });
+  }
+});
+
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    const webhooks = await listWebhooks(resolveUserId(req));
+    res.json(webhooks);
+  } catch (err) {
+    console.error('[api/webhooks] list failed:', err.message);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    const webhook = await createWebhook(req.body, resolveUserId(req));
+    invalidateWebhookCache();
+    res.status(201).json(webhook);
+  } catch (err) {
+    const status = err?.statusCode === 400 ? 400 : 500;
+    const message = status === 400 ? err.message : 'Failed to create webhook';
+    if (status === 500) console.error('[api/webhooks] create failed:', err.message);
+    res.status(status).json({ error: message });
+  }
+});
+
+app.patch('/api/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await updateWebhook(req.params.id, req.body, resolveUserId(req));
+    invalidateWebhookCache();
+    res.json(webhook);
+  } catch (err) {
+    const status = err?.statusCode === 400 || err?.statusCode === 404 ? err.statusCode : 500;
+    const message = status === 500 ? 'Failed to update webhook' : err.message;
+    if (status === 500) console.error('[api/webhooks] update failed:', err.message);
+    res.status(status).json({ error: message });
+  }
+});
+
+app.delete('/api/webhooks/:id', async (req, res) => {
+  try {
+    await deleteWebhook(req.params.id, resolveUserId(req));
+    invalidateWebhookCache();
+    res.json({ ok: true });
+  } catch (err) {
+    const status = err?.statusCode === 404 ? 404 : 500;
+    const message = status === 404 ? err.message : 'Failed to delete webhook';
+    if (status === 500) console.error('[api/webhooks] delete failed:', err.message);
+    res.status(status).json({ error: message });
+  }
+});
+
 // ===============================
 // TELEGRAM WEBHOOK
 // ===============================
 
 app.post('/api/telegram-webhook', async (req, res) => {
-  const bot = getBotInstance();
-  const msg = req.body?.message;
-
-  if (bot && msg?.chat?.id && msg?.text) {
-    const text = String(msg.text).trim().toLowerCase();
-
-    if (text.startsWith('/start')) {
-      await upsertTelegramSubscriber({
-        chatId: msg.chat.id,
-        firstName: msg.chat.first_name,
-        username: msg.chat.username,
-        isSubscribed: true
-      });
-      await bot.sendMessage(
-        msg.chat.id,
-        'Subscribed to CampusSense alerts. Use /status for latest reading or /stop to unsubscribe.'
-      );
-    } else if (text === '/stop') {
-      await setTelegramSubscription(msg.chat.id, false);
-      await bot.sendMessage(msg.chat.id, 'Unsubscribed from CampusSense alerts.');
-    } else if (text === '/status') {
-      const latest = await getLatestSensorData();
-      await bot.sendMessage(msg.chat.id, formatStatus(latest));
-    }
+  if (!isValidWebhookSecret(req.get('x-telegram-bot-api-secret-token'))) {
+    return res.sendStatus(401);
   }
-
+  await handleTelegramMessage(getBotInstance(), req.body?.message);
   res.sendStatus(200);
 });
 
@@ -268,11 +520,16 @@ app.post('/api/telegram-webhook', async (req, res) => {
 // START
 // ===============================
 
-function startServer() {
-  startTelegramBot();
+async function startServer() {
+  startTelegramBot({ onMessage: handleTelegramMessage })
+    .catch((err) => console.error('[telegram] start failed:', err.message));
+  if (await checkSensorDataSchema()) backfillDerivedMetrics();
+  await startIngestQueue();
+  startNotificationOutbox();
   startMqttClient();
   runScheduledReportTick();
   setInterval(runScheduledReportTick, 5000);
+  setInterval(runSensorWatchdogTick, 60000);
 
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`[server] running on ${PORT}`);
@@ -0,0 +1,170 @@
+// =====================================================
+// Minimal PNG line chart renderer (Telegram /chart, period reports)
+// Pure JS on top of zlib: no canvas or native dependency needed.
+// Text (title, axis values) goes in the message caption, not the image.
+// =====================================================
+
+const zlib = require('zlib');
+
+const COLORS = {
+  background: [255, 255, 255],
+  grid: [226, 232, 240],
+  axis: [148, 163, 184],
+  band: [191, 219, 254],
+  line: [37, 99, 235]
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(width, height, rgb) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+
+  // Each scanline is prefixed with filter type 0 (none).
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    rgb.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function createCanvas(width, height) {
+  const rgb = Buffer.alloc(width * height * 3);
+  const setPixel = (x, y, color) => {
+    const px = Math.round(x);
+    const py = Math.round(y);
+    if (px < 0 || py < 0 || px >= width || py >= height) return;
+    const i = (py * width + px) * 3;
+    rgb[i] = color[0];
+    rgb[i + 1] = color[1];
+    rgb[i + 2] = color[2];
+  };
+  return { width, height, rgb, setPixel };
+}
+
+function fillRect(canvas, x0, y0, x1, y1, color) {
+  for (let y = Math.round(Math.min(y0, y1)); y <= Math.round(Math.max(y0, y1)); y += 1) {
+    for (let x = Math.round(Math.min(x0, x1)); x <= Math.round(Math.max(x0, x1)); x += 1) {
+      canvas.setPixel(x, y, color);
+    }
+  }
+}
+
+function drawLine(canvas, x0, y0, x1, y1, color, thickness = 1) {
+  const steps = Math.max(1, Math.ceil(Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0))));
+  const half = Math.floor(thickness / 2);
+  for (let i = 0; i <= steps; i += 1) {
+    const x = x0 + ((x1 - x0) * i) / steps;
+    const y = y0 + ((y1 - y0) * i) / steps;
+    fillRect(canvas, x - half, y - half, x + half, y + half, color);
+  }
+}
+
+function toFinite(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// points: getGraphData rows ({ created_at, value, min, max }).
+// Draws the min/max band behind the average line.
+function renderLineChartPng(points, { width = 800, height = 400 } = {}) {
+  const canvas = createCanvas(width, height);
+  fillRect(canvas, 0, 0, width - 1, height - 1, COLORS.background);
+
+  const margin = { top: 20, right: 20, bottom: 30, left: 40 };
+  const plot = {
+    left: margin.left,
+    right: width - margin.right,
+    top: margin.top,
+    bottom: height - margin.bottom
+  };
+
+  for (let i = 0; i <= 4; i += 1) {
+    const y = plot.top + ((plot.bottom - plot.top) * i) / 4;
+    drawLine(canvas, plot.left, y, plot.right, y, COLORS.grid);
+  }
+  drawLine(canvas, plot.left, plot.top, plot.left, plot.bottom, COLORS.axis);
+  drawLine(canvas, plot.left, plot.bottom, plot.right, plot.bottom, COLORS.axis);
+
+  const series = (points || [])
+    .map((p) => ({
+      t: Date.parse(p.created_at),
+      value: toFinite(p.value, NaN),
+      min: toFinite(p.min, toFinite(p.value, NaN)),
+      max: toFinite(p.max, toFinite(p.value, NaN))
+    }))
+    .filter((p) => Number.isFinite(p.t) && Number.isFinite(p.value))
+    .sort((a, b) => a.t - b.t);
+
+  if (series.length === 0) return encodePng(width, height, canvas.rgb);
+
+  const tMin = series[0].t;
+  const tMax = series[series.length - 1].t;
+  let vMin = Math.min(...series.map((p) => p.min));
+  let vMax = Math.max(...series.map((p) => p.max));
+  if (vMin === vMax) {
+    vMin -= 1;
+    vMax += 1;
+  }
+  const pad = (vMax - vMin) * 0.05;
+  vMin -= pad;
+  vMax += pad;
+
+  const xOf = (t) => (tMax === tMin
+    ? (plot.left + plot.right) / 2
+    : plot.left + ((t - tMin) / (tMax - tMin)) * (plot.right - plot.left));
+  const yOf = (v) => plot.bottom - ((v - vMin) / (vMax - vMin)) * (plot.bottom - plot.top);
+
+  for (const p of series) {
+    if (p.max > p.min) drawLine(canvas, xOf(p.t), yOf(p.min), xOf(p.t), yOf(p.max), COLORS.band, 3);
+  }
+
+  if (series.length === 1) {
+    fillRect(canvas, xOf(series[0].t) - 2, yOf(series[0].value) - 2, xOf(series[0].t) + 2, yOf(series[0].value) + 2, COLORS.line);
+  }
+  for (let i = 1; i < series.length; i += 1) {
+    const a = series[i - 1];
+    const b = series[i];
+    drawLine(canvas, xOf(a.t), yOf(a.value), xOf(b.t), yOf(b.value), COLORS.line, 3);
+  }
+
+  return encodePng(width, height, canvas.rgb);
+}
+
+module.exports = {
+  renderLineChartPng
+};
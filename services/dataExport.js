@@ -0,0 +1,72 @@
+// =====================================================
+// Historical data export (CSV / JSON / NDJSON)
+// Rows are written page by page so large ranges never sit in memory.
+// =====================================================
+
+const { once } = require('events');
+const { iterateSensorExportRows } = require('./supabaseClient');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+function resolveExportFormat(formatInput) {
+  const format = String(formatInput || 'csv').trim().toLowerCase();
+  return EXPORT_FORMATS[format] ? format : null;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildExportFilename(plan, format) {
+  const day = (iso) => iso.slice(0, 10);
+  const suffix = plan.bucketSeconds ? `-${plan.bucketSeconds}s` : '';
+  return `campussense-${day(plan.startIso)}_${day(plan.endIso)}${suffix}.${EXPORT_FORMATS[format].extension}`;
+}
+
+async function write(res, chunk) {
+  if (res.write(chunk)) return;
+  await Promise.race([once(res, 'drain'), once(res, 'close')]);
+}
+
+async function streamSensorExport(res, plan, format) {
+  res.set({
+    'Content-Type': EXPORT_FORMATS[format].contentType,
+    'Content-Disposition': `attachment; filename="${buildExportFilename(plan, format)}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  let first = true;
+  if (format === 'csv') await write(res, `${plan.fields.join(',')}\n`);
+  if (format === 'json') await write(res, '[');
+
+  for await (const rows of iterateSensorExportRows(plan)) {
+    if (res.destroyed) return;
+
+    let chunk = '';
+    for (const row of rows) {
+      if (format === 'csv') {
+        chunk += `${plan.fields.map((f) => csvCell(row[f])).join(',')}\n`;
+      } else if (format === 'ndjson') {
+        chunk += `${JSON.stringify(row)}\n`;
+      } else {
+        chunk += `${first ? '' : ','}\n${JSON.stringify(row)}`;
+      }
+      first = false;
+    }
+    await write(res, chunk);
+  }
+
+  if (format === 'json') await write(res, '\n]\n');
+  res.end();
+}
+
+module.exports = {
+  resolveExportFormat,
+  streamSensorExport
+};
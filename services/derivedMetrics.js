@@ -0,0 +1,84 @@
+// =====================================================
+// Derived comfort metrics and the CO2 air-quality band
+// Computed at ingest and stored as sensor_data columns, so graphs,
+// thresholds and reports treat them like measured metrics.
+// =====================================================
+
+// Upper bounds (ppm, exclusive); the last band is open-ended.
+const CO2_BANDS = [
+  { key: 'good', label: 'Good', max: 800 },
+  { key: 'moderate', label: 'Moderate', max: 1000 },
+  { key: 'poor', label: 'Poor', max: 1500 },
+  { key: 'hazardous', label: 'Hazardous', max: Infinity }
+];
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Magnus formula (Sonntag constants), C.
+function computeDewPoint(tempC, humidity) {
+  if (tempC === null || humidity === null || humidity <= 0) return null;
+  const gamma = Math.log(humidity / 100) + (17.62 * tempC) / (243.12 + tempC);
+  return round2((243.12 * gamma) / (17.62 - gamma));
+}
+
+// NOAA heat index (Rothfusz regression with its low / high humidity adjustments), C.
+function computeHeatIndex(tempC, humidity) {
+  if (tempC === null || humidity === null) return null;
+  const t = tempC * 1.8 + 32;
+  const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + humidity * 0.094);
+
+  let hi = simple;
+  if ((simple + t) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * humidity - 0.22475541 * t * humidity -
+      0.00683783 * t * t - 0.05481717 * humidity * humidity + 0.00122874 * t * t * humidity +
+      0.00085282 * t * humidity * humidity - 0.00000199 * t * t * humidity * humidity;
+    if (humidity < 13 && t >= 80 && t <= 112) {
+      hi -= ((13 - humidity) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (humidity > 85 && t >= 80 && t <= 87) {
+      hi += ((humidity - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+  return round2((hi - 32) / 1.8);
+}
+
+// Water vapour per cubic metre of air, g/m3.
+function computeAbsoluteHumidity(tempC, humidity) {
+  if (tempC === null || humidity === null) return null;
+  const saturation = 6.112 * Math.exp((17.67 * tempC) / (tempC + 243.5));
+  return round2((saturation * humidity * 2.1674) / (273.15 + tempC));
+}
+
+// sensor_data row -> the three derived columns. Humidity comes from the DHT,
+// so its own temperature is the matching input; the BMP covers a missing DHT reading.
+function computeDerivedMetrics(row) {
+  const tempC = toNumber(row?.dht_temp) ?? toNumber(row?.bmp_temp);
+  const rawHumidity = toNumber(row?.humidity);
+  const humidity = rawHumidity === null ? null : Math.min(100, Math.max(0, rawHumidity));
+  return {
+    dew_point: computeDewPoint(tempC, humidity),
+    heat_index: computeHeatIndex(tempC, humidity),
+    absolute_humidity: computeAbsoluteHumidity(tempC, humidity)
+  };
+}
+
+// { key, label } for a CO2 reading in ppm, or null without a reading.
+function getCo2Band(ppm) {
+  const value = toNumber(ppm);
+  if (value === null) return null;
+  const band = CO2_BANDS.find((item) => value < item.max);
+  return { key: band.key, label: band.label };
+}
+
+module.exports = {
+  CO2_BANDS,
+  computeDerivedMetrics,
+  getCo2Band
+};
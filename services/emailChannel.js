@@ -0,0 +1,190 @@
+// =====================================================
+// Email channel (SMTP via nodemailer)
+// Works with any SMTP server, including local catchers such as
+// MailHog / Mailpit (SMTP_HOST=localhost SMTP_PORT=1025).
+// =====================================================
+
+const nodemailer = require('nodemailer');
+
+const DEFAULT_SMTP_PORT = 587;
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.EMAIL_MAX_ATTEMPTS) || 3);
+const BASE_BACKOFF_MS = 2000;
+const EMAIL_REGEX = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/;
+
+let transporter = null;
+let transporterKey = null;
+
+function getSmtpConfigFromEnv() {
+  const host = String(process.env.SMTP_HOST || '').trim();
+  if (!host) return null;
+  const port = Number(process.env.SMTP_PORT) || DEFAULT_SMTP_PORT;
+  return {
+    host,
+    port,
+    secure: String(process.env.SMTP_SECURE || (port === 465 ? 'true' : 'false')).toLowerCase() === 'true',
+    user: String(process.env.SMTP_USER || '').trim(),
+    pass: String(process.env.SMTP_PASS || ''),
+    from: String(process.env.SMTP_FROM || 'CampusSense <no-reply@campussense.local>').trim()
+  };
+}
+
+function isEmailConfigured() {
+  return !!getSmtpConfigFromEnv();
+}
+
+function getTransporter(config) {
+  const key = `${config.host}|${config.port}|${config.secure}|${config.user}`;
+  if (transporter && transporterKey === key) return transporter;
+
+  transporter = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined
+  });
+  transporterKey = key;
+  return transporter;
+}
+
+function isValidEmail(value) {
+  return EMAIL_REGEX.test(String(value || '').trim());
+}
+
+// 5xx SMTP replies (bad recipient, rejected content) will not succeed on retry.
+function isPermanentSmtpError(err) {
+  const code = Number(err?.responseCode);
+  return Number.isFinite(code) && code >= 500;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Returns { sent, attempts, error, permanent }; never throws.
+// maxAttempts: 1 leaves retrying to the caller (the notification outbox does this).
+async function sendEmail({ to, subject, text, html, attachments, maxAttempts = MAX_ATTEMPTS }) {
+  const config = getSmtpConfigFromEnv();
+  const recipients = (Array.isArray(to) ? to : [to]).filter(isValidEmail);
+  if (!config) return { sent: false, attempts: 0, error: 'smtp-not-configured', permanent: false };
+  if (recipients.length === 0) return { sent: false, attempts: 0, error: 'no-recipients', permanent: true };
+
+  let lastError = null;
+  let attempt = 0;
+  while (attempt < maxAttempts) {
+    attempt += 1;
+    try {
+      await getTransporter(config).sendMail({ from: config.from, to: recipients, subject, text, html, attachments });
+      return { sent: true, attempts: attempt, error: null, permanent: false };
+    } catch (err) {
+      lastError = err;
+      console.warn(`[email] send attempt ${attempt}/${maxAttempts} failed:`, err.message);
+      if (isPermanentSmtpError(err) || attempt === maxAttempts) break;
+      await sleep(BASE_BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+  return {
+    sent: false,
+    attempts: attempt,
+    error: lastError?.message || 'send-failed',
+    permanent: isPermanentSmtpError(lastError)
+  };
+}
+
+// =====================================================
+// Templates
+// =====================================================
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const TYPE_ACCENTS = {
+  alert: '#dc2626',
+  alert_cleared: '#16a34a',
+  anomaly: '#d97706',
+  report: '#2563eb'
+};
+
+const EMAIL_FOOTER_HTML = '<p style="margin:24px 0 0;font-size:12px;color:#64748b;">Sent by CampusSense</p>';
+
+function wrapHtml(title, accent, bodyHtml) {
+  return `<!doctype html>
+<html>
+<body style="margin:0;padding:24px;background:#f1f5f9;font-family:Arial,Helvetica,sans-serif;color:#0f172a;">
+  <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;border-top:4px solid ${accent};">
+    <tr><td style="padding:24px;">
+      <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(title)}</h1>
+      ${bodyHtml}
+      ${EMAIL_FOOTER_HTML}
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+function renderNotificationEmail({ title, message, type }) {
+  const accent = TYPE_ACCENTS[type] || '#475569';
+  return {
+    subject: `[CampusSense] ${title}`,
+    text: `${title}\n\n${message}`,
+    html: wrapHtml(title, accent, `<p style="margin:0;font-size:15px;line-height:1.5;">${escapeHtml(message)}</p>`)
+  };
+}
+
+// columns: header labels; rows: arrays of cell strings in the same order.
+function renderReportEmail({ title, subtitle, columns, rows, empty = 'No data.', footer = '' }) {
+  const cell = 'padding:8px 6px;border-bottom:1px solid #e2e8f0;';
+  const header = columns
+    .map((label, i) => `<th style="${cell}color:#64748b;font-size:12px;text-align:${i === 0 ? 'left' : 'right'};">${escapeHtml(label)}</th>`)
+    .join('');
+  const body = rows.length === 0
+    ? `<tr><td colspan="${columns.length}" style="${cell}color:#475569;">${escapeHtml(empty)}</td></tr>`
+    : rows
+      .map((row) => `<tr>${row
+        .map((value, i) => `<td style="${cell}text-align:${i === 0 ? 'left' : 'right'};${i === 0 ? 'color:#475569;' : ''}">${escapeHtml(value)}</td>`)
+        .join('')}</tr>`)
+      .join('\n      ');
+  const html = `<p style="margin:0 0 12px;color:#475569;">${escapeHtml(subtitle)}</p>
+      <table role="presentation" width="100%" style="border-collapse:collapse;font-size:14px;">
+      <tr>${header}</tr>
+      ${body}
+      </table>${footer ? `
+      <p style="margin:16px 0 0;font-size:15px;">${escapeHtml(footer)}</p>` : ''}`;
+
+  const textRows = rows.length === 0
+    ? [empty]
+    : rows.map((row) => row.map((value, i) => (i === 0 ? `${value}:` : `${columns[i]} ${value}`)).join(' '));
+  return {
+    subject: `[CampusSense] ${title}`,
+    text: [title, subtitle, '', ...textRows, ...(footer ? ['', footer] : [])].join('\n'),
+    html: wrapHtml(title, TYPE_ACCENTS.report, html)
+  };
+}
+
+// Adds lines (e.g. download links) below the body of an already rendered email.
+function appendEmailLines(content, lines) {
+  if (lines.length === 0) return content;
+  const html = lines
+    .map((line) => `<p style="margin:12px 0 0;font-size:14px;">${escapeHtml(line)}</p>`)
+    .join('\n      ');
+  return {
+    ...content,
+    text: `${content.text}\n\n${lines.join('\n')}`,
+    html: content.html.replace(EMAIL_FOOTER_HTML, `${html}\n      ${EMAIL_FOOTER_HTML}`)
+  };
+}
+
+module.exports = {
+  escapeHtml,
+  isEmailConfigured,
+  isValidEmail,
+  sendEmail,
+  renderNotificationEmail,
+  renderReportEmail,
+  appendEmailLines
+};
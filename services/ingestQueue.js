@@ -0,0 +1,293 @@
+// =====================================================
+// Ingest write-ahead queue (sensor_data durability)
+// Readings that cannot be written to Supabase are appended to an
+// NDJSON file and replayed in order, in batches, with backoff.
+// Rows the database rejects for good are quarantined to sensor_rejects
+// so they never hold up the readings queued behind them.
+// =====================================================
+
+const fs = require('fs/promises');
+const path = require('path');
+const { insertSensorData, insertSensorReject, recordDeviceSeen } = require('./supabaseClient');
+
+const QUEUE_DIR = process.env.INGEST_QUEUE_DIR || path.join(__dirname, '..', 'data', 'ingest-queue');
+const QUEUE_FILE = path.join(QUEUE_DIR, 'sensor_data.ndjson');
+// Highest seq already replayed or dropped; lines up to it are skipped on load.
+const ACK_FILE = path.join(QUEUE_DIR, 'sensor_data.ack');
+const BATCH_SIZE = Math.max(1, Number(process.env.INGEST_QUEUE_BATCH_SIZE) || 200);
+const MAX_ENTRIES = Math.max(1000, Number(process.env.INGEST_QUEUE_MAX_ENTRIES) || 200000);
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+let entries = [];
+let nextSeq = 1;
+let persistedSeq = 0;
+let ackedSeq = 0;
+let persistedAckSeq = 0;
+let fileLines = 0;
+let persistChain = Promise.resolve();
+let flushing = false;
+let retryTimer = null;
+
+const stats = {
+  started_at: null,
+  consecutive_failures: 0,
+  backoff_ms: 0,
+  next_retry_at: null,
+  last_failure_at: null,
+  last_flush_at: null,
+  buffered_total: 0,
+  replayed_total: 0,
+  rejected_total: 0,
+  dropped_total: 0
+};
+
+async function writeFileAtomic(file, body) {
+  const tmpFile = `${file}.tmp`;
+  await fs.writeFile(tmpFile, body);
+  await fs.rename(tmpFile, file);
+}
+
+// Appends new entries and records the ack position. The log itself is only
+// rewritten once acked lines outnumber the live ones, so replay stays linear.
+async function persist() {
+  let firstPending = entries.length;
+  while (firstPending > 0 && entries[firstPending - 1].seq > persistedSeq) firstPending -= 1;
+  const pending = entries.slice(firstPending);
+  if (pending.length > 0) {
+    persistedSeq = pending[pending.length - 1].seq;
+    fileLines += pending.length;
+    await fs.appendFile(QUEUE_FILE, pending.map((e) => `${JSON.stringify(e)}\n`).join(''));
+  }
+
+  if (ackedSeq > persistedAckSeq) {
+    persistedAckSeq = ackedSeq;
+    await writeFileAtomic(ACK_FILE, String(ackedSeq));
+  }
+
+  if (fileLines > entries.length * 2) {
+    // Entries enqueued while this ran are appended by the next persist.
+    const written = entries.filter((e) => e.seq <= persistedSeq);
+    fileLines = written.length;
+    await writeFileAtomic(QUEUE_FILE, written.map((e) => `${JSON.stringify(e)}\n`).join(''));
+  }
+}
+
+function schedulePersist() {
+  persistChain = persistChain
+    .then(persist)
+    .catch((err) => console.error('[ingest-queue] persist failed:', err.message));
+  return persistChain;
+}
+
+// Removes every entry up to and including seq. Entries are matched by seq, not
+// position, because enqueue may drop the oldest ones while a batch is in flight.
+function acknowledge(seq) {
+  let count = 0;
+  while (count < entries.length && entries[count].seq <= seq) count += 1;
+  entries.splice(0, count);
+  ackedSeq = Math.max(ackedSeq, seq);
+}
+
+async function loadQueue() {
+  await fs.mkdir(QUEUE_DIR, { recursive: true });
+
+  const readOptional = async (file) => {
+    try {
+      return await fs.readFile(file, 'utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return '';
+    }
+  };
+
+  ackedSeq = Number((await readOptional(ACK_FILE)).trim()) || 0;
+  persistedAckSeq = ackedSeq;
+
+  const loaded = [];
+  let maxSeq = ackedSeq;
+  fileLines = 0;
+  for (const line of (await readOptional(QUEUE_FILE)).split('\n')) {
+    if (!line.trim()) continue;
+    fileLines += 1;
+    try {
+      const entry = JSON.parse(line);
+      if (!entry || !entry.row) continue;
+      maxSeq = Math.max(maxSeq, Number(entry.seq) || 0);
+      if (entry.seq > ackedSeq) loaded.push(entry);
+    } catch {
+      console.warn('[ingest-queue] skipping corrupt queue line');
+    }
+  }
+
+  entries = loaded;
+  nextSeq = maxSeq + 1;
+  persistedSeq = maxSeq;
+}
+
+// Newest replayed reading per device, so the watchdog sees when each one actually reported.
+async function markDevicesSeen(rows) {
+  const latest = new Map();
+  for (const row of rows) {
+    const deviceId = row.device_id || null;
+    if (!latest.has(deviceId) || row.created_at > latest.get(deviceId)) latest.set(deviceId, row.created_at);
+  }
+  for (const [deviceId, seenAt] of latest) {
+    await recordDeviceSeen(deviceId, { seenAt });
+  }
+}
+
+async function quarantineRow(row, error) {
+  stats.rejected_total += 1;
+  const stored = await insertSensorReject({
+    deviceId: row.device_id,
+    topic: null,
+    reason: 'insert-rejected',
+    payload: row,
+    details: { error }
+  });
+  if (!stored) console.error(`[ingest-queue] rejected reading not quarantined: ${JSON.stringify(row)}`);
+  console.warn(`[ingest-queue] quarantined a reading the database rejected: ${error}`);
+}
+
+// Inserts the batch in one request. When the database rejects it for good,
+// the rows are retried one by one so only the bad ones are quarantined.
+// Returns { settled, stored, error }: settled counts leading entries that are
+// done (stored or quarantined); error is set when a transient failure stopped it.
+async function replayBatch(batch) {
+  const result = await insertSensorData(batch.map((e) => e.row));
+  if (result.ok) return { settled: batch.length, stored: batch.map((e) => e.row), error: null };
+  if (!result.permanent) return { settled: 0, stored: [], error: result.error };
+
+  const stored = [];
+  for (let i = 0; i < batch.length; i++) {
+    const single = batch.length === 1 ? result : await insertSensorData(batch[i].row);
+    if (single.ok) {
+      stored.push(batch[i].row);
+    } else if (single.permanent) {
+      await quarantineRow(batch[i].row, single.error);
+    } else {
+      return { settled: i, stored, error: single.error };
+    }
+  }
+  return { settled: batch.length, stored, error: null };
+}
+
+function scheduleRetry() {
+  stats.consecutive_failures += 1;
+  stats.backoff_ms = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (stats.consecutive_failures - 1));
+  stats.last_failure_at = new Date().toISOString();
+  stats.next_retry_at = new Date(Date.now() + stats.backoff_ms).toISOString();
+
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushQueue();
+  }, stats.backoff_ms);
+}
+
+async function flushQueue() {
+  if (flushing || entries.length === 0) return;
+  flushing = true;
+
+  try {
+    while (entries.length > 0) {
+      const batch = entries.slice(0, BATCH_SIZE);
+      const { settled, stored, error } = await replayBatch(batch);
+
+      if (settled > 0) {
+        acknowledge(batch[settled - 1].seq);
+        await schedulePersist();
+        await markDevicesSeen(stored);
+        stats.replayed_total += stored.length;
+        stats.last_flush_at = new Date().toISOString();
+      }
+      if (error) {
+        scheduleRetry();
+        console.warn(`[ingest-queue] replay failed; ${entries.length} queued, retry in ${stats.backoff_ms}ms`);
+        return;
+      }
+
+      stats.consecutive_failures = 0;
+      stats.backoff_ms = 0;
+      stats.next_retry_at = null;
+    }
+    console.log('[ingest-queue] backlog replayed');
+  } catch (err) {
+    console.error('[ingest-queue] flush exception:', err.message);
+    scheduleRetry();
+  } finally {
+    flushing = false;
+  }
+}
+
+async function enqueue(row) {
+  entries.push({ seq: nextSeq++, enqueued_at: new Date().toISOString(), row });
+  stats.buffered_total += 1;
+
+  if (entries.length > MAX_ENTRIES) {
+    const dropped = entries.length - MAX_ENTRIES;
+    acknowledge(entries[dropped - 1].seq);
+    stats.dropped_total += dropped;
+    console.warn(`[ingest-queue] queue full; dropped ${dropped} oldest readings`);
+  }
+
+  await schedulePersist();
+}
+
+// Writes a reading straight through when the queue is empty, otherwise
+// appends it behind the backlog so replay order is preserved.
+// Returns { stored, buffered, rejected, row }.
+async function submitSensorData(data) {
+  const row = { ...data, created_at: data.created_at || new Date().toISOString() };
+
+  if (entries.length === 0 && !flushing) {
+    const result = await insertSensorData(row);
+    if (result.ok) return { stored: true, buffered: false, rejected: false, row };
+    if (result.permanent) {
+      await quarantineRow(row, result.error);
+      return { stored: false, buffered: false, rejected: true, row };
+    }
+    await enqueue(row);
+    scheduleRetry();
+    return { stored: false, buffered: true, rejected: false, row };
+  }
+
+  await enqueue(row);
+  if (!retryTimer) flushQueue();
+  return { stored: false, buffered: true, rejected: false, row };
+}
+
+function getIngestQueueStatus() {
+  return {
+    depth: entries.length,
+    oldest_enqueued_at: entries[0]?.enqueued_at || null,
+    oldest_reading_at: entries[0]?.row?.created_at || null,
+    flushing,
+    batch_size: BATCH_SIZE,
+    max_entries: MAX_ENTRIES,
+    ...stats
+  };
+}
+
+async function startIngestQueue() {
+  stats.started_at = new Date().toISOString();
+  try {
+    await loadQueue();
+  } catch (err) {
+    console.error('[ingest-queue] load failed; starting empty:', err.message);
+    entries = [];
+    nextSeq = Math.max(nextSeq, ackedSeq + 1);
+  }
+
+  if (entries.length > 0) {
+    console.log(`[ingest-queue] ${entries.length} buffered readings found; replaying`);
+    flushQueue();
+  }
+}
+
+module.exports = {
+  startIngestQueue,
+  submitSensorData,
+  getIngestQueueStatus
+};
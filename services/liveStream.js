@@ -0,0 +1,94 @@
+// =====================================================
+// Live event stream (Server-Sent Events)
+// Events: reading, notification, resync
+// =====================================================
+
+const REPLAY_BUFFER_SIZE = Math.max(50, Number(process.env.STREAM_REPLAY_BUFFER) || 500);
+const HEARTBEAT_MS = 25 * 1000;
+const CLIENT_RETRY_MS = 5000;
+
+// Ids start at boot time so ids from a previous process never look current.
+let lastEventId = Date.now();
+const recentEvents = [];
+const clients = new Set();
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+function isVisibleTo(event, client) {
+  if (event.audience && client.audience && event.audience !== client.audience) return false;
+  if (event.deviceId && client.deviceId && event.deviceId !== client.deviceId) return false;
+  return true;
+}
+
+// audience: settings owner the event belongs to (omit for everyone)
+// deviceId: device the event came from (omit for device-independent events)
+function publishStreamEvent(type, data, { audience, deviceId } = {}) {
+  const event = {
+    id: ++lastEventId,
+    type,
+    data,
+    audience: audience || null,
+    deviceId: deviceId || null
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > REPLAY_BUFFER_SIZE) recentEvents.shift();
+
+  for (const client of clients) {
+    if (!isVisibleTo(event, client)) continue;
+    try {
+      client.res.write(formatEvent(event));
+    } catch (err) {
+      console.warn('[stream] write failed:', err.message);
+    }
+  }
+  return event.id;
+}
+
+function replayMissedEvents(client, lastSeenId) {
+  const oldestBuffered = recentEvents[0]?.id;
+  const hasGap =
+    lastSeenId > lastEventId ||
+    (oldestBuffered !== undefined && lastSeenId < oldestBuffered - 1) ||
+    (oldestBuffered === undefined && lastSeenId < lastEventId);
+
+  if (hasGap) {
+    // Too far behind (or from a previous process): tell the client to refetch.
+    client.res.write(formatEvent({ id: lastEventId, type: 'resync', data: { reason: 'replay-gap' } }));
+    return;
+  }
+
+  for (const event of recentEvents) {
+    if (event.id > lastSeenId && isVisibleTo(event, client)) client.res.write(formatEvent(event));
+  }
+}
+
+function openEventStream(req, res, { audience, deviceId } = {}) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+  const client = { res, audience: audience || null, deviceId: deviceId || null };
+  const lastSeenId = Number(req.get('last-event-id') || req.query?.lastEventId);
+  if (Number.isFinite(lastSeenId) && lastSeenId > 0) replayMissedEvents(client, lastSeenId);
+
+  clients.add(client);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+}
+
+module.exports = {
+  publishStreamEvent,
+  openEventStream
+};
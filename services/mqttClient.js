@@ -4,13 +4,68 @@
 
 const mqtt = require('mqtt');
 const {
-  insertSensorData,
+  DEFAULT_DEVICE_ID,
+  normalizeDeviceId,
+  normalizeSensorData,
+  recordDeviceSeen,
+  insertSensorReject,
+  applyCalibration,
   processThresholdAlerts
 } = require('./supabaseClient');
+const { validateSensorPayload, describeIssues } = require('./sensorSchema');
+const { computeDerivedMetrics } = require('./derivedMetrics');
+const { submitSensorData } = require('./ingestQueue');
+const { publishStreamEvent } = require('./liveStream');
+const { dispatchThresholdAlerts } = require('./notifier');
+const { emitWebhookEvent } = require('./webhooks');
+
+// MQTT_TOPIC may list several comma-separated filters, e.g. "campus/+/telemetry".
+function parseTopicFilters(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+// The first "+" level of a matching filter names the device.
+function matchTopicFilter(filter, levels) {
+  const parts = filter.split('/');
+  let captured = null;
+
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i] === '#') return { captured };
+    if (i >= levels.length) return null;
+    if (parts[i] === '+') {
+      if (captured === null) captured = levels[i];
+    } else if (parts[i] !== levels[i]) {
+      return null;
+    }
+  }
+
+  return parts.length === levels.length ? { captured } : null;
+}
+
+function extractDeviceIdFromTopic(topic, filters) {
+  const levels = String(topic || '').split('/');
+  for (const filter of filters) {
+    const match = matchTopicFilter(filter, levels);
+    if (match?.captured) return match.captured;
+  }
+  return null;
+}
+
+function resolveDeviceId(topic, payload, filters) {
+  return (
+    normalizeDeviceId(payload?.device_id) ||
+    normalizeDeviceId(extractDeviceIdFromTopic(topic, filters)) ||
+    DEFAULT_DEVICE_ID
+  );
+}
 
 function startMqttClient() {
   console.log('[mqtt] connecting...');
 
+  const topicFilters = parseTopicFilters(process.env.MQTT_TOPIC);
   const client = mqtt.connect(process.env.MQTT_BROKER_URL, {
     username: process.env.MQTT_USERNAME,
     password: process.env.MQTT_PASSWORD
@@ -18,30 +73,67 @@ function startMqttClient() {
 
   client.on('connect', () => {
     console.log('[mqtt] connected');
-    client.subscribe(process.env.MQTT_TOPIC);
+    client.subscribe(topicFilters);
   });
 
-  client.on('message', async (_topic, payload) => {
+  client.on('message', async (topic, payload) => {
+    const rawText = payload.toString();
+    let deviceId = resolveDeviceId(topic, null, topicFilters);
+
     try {
-      const r = JSON.parse(payload.toString());
-      const data = {
-        bmp_temp: Number(r.bmp_temp),
-        dht_temp: Number(r.dht_temp),
-        humidity: Number(r.humidity),
-        pressure: Number(r.pressure),
-        co2_ppm: Number(r.co2_ppm),
-        uv_index: Number(r.uv_index),
-        light_pcnt: Number(r.light_pcnt),
-        rain_pcnt: Number(r.rain_pcnt)
-      };
-
-      await insertSensorData(data);
+      let r;
+      try {
+        r = JSON.parse(rawText);
+      } catch (parseErr) {
+        await insertSensorReject({ deviceId, topic, reason: 'invalid-json', payload: rawText, details: { error: parseErr.message } });
+        console.warn(`[mqtt] rejected payload from ${deviceId}: invalid-json`);
+        return;
+      }
+
+      deviceId = resolveDeviceId(topic, r, topicFilters);
+      const result = validateSensorPayload(r);
+      if (!result.ok) {
+        await insertSensorReject({ deviceId, topic, reason: result.reason, payload: rawText, details: { issues: result.issues } });
+        console.warn(`[mqtt] rejected payload from ${deviceId}: ${result.reason}`);
+        return;
+      }
+      if (result.issues.length > 0) {
+        console.warn(`[mqtt] nulled invalid fields from ${deviceId}: ${describeIssues(result.issues)}`);
+      }
+
+      // A profile can push a value outside its physical range, so the corrected
+      // reading goes through the same schema check as the raw one.
+      const calibrated = await applyCalibration({ device_id: deviceId, ...result.data });
+      const checked = validateSensorPayload(calibrated);
+      if (!checked.ok) {
+        await insertSensorReject({ deviceId, topic, reason: 'calibrated-out-of-range', payload: rawText, details: { issues: checked.issues, calibrated } });
+        console.warn(`[mqtt] rejected payload from ${deviceId}: no field in range after calibration`);
+        return;
+      }
+      const outOfRange = checked.issues.filter((i) => i.issue === 'out-of-range');
+      if (outOfRange.length > 0) {
+        console.warn(`[mqtt] nulled calibrated fields out of range from ${deviceId}: ${describeIssues(outOfRange)}`);
+      }
+      const corrected = { ...calibrated, ...checked.data };
+      const data = { ...corrected, ...computeDerivedMetrics(corrected) };
+
+      const { stored, rejected, row } = await submitSensorData(data);
+      if (rejected) {
+        console.warn(`[mqtt] sensor data rejected by the database (${deviceId}); quarantined`);
+        return;
+      }
+      const reading = normalizeSensorData(row);
+      publishStreamEvent('reading', reading, { deviceId });
+      emitWebhookEvent('reading.ingested', reading);
+      // Buffered readings mark the device seen when the queue replays them.
+      if (stored) await recordDeviceSeen(deviceId, { topic, seenAt: row.created_at });
       try {
-        await processThresholdAlerts({ sensorData: data });
+        const alertResults = await processThresholdAlerts({ sensorData: data });
+        await dispatchThresholdAlerts(alertResults);
       } catch (alertErr) {
         console.error('[mqtt] threshold alert processing failed:', alertErr.message);
       }
-      console.log('[mqtt] sensor data saved');
+      console.log(`[mqtt] sensor data ${stored ? 'saved' : 'buffered'} (${deviceId})`);
     } catch (err) {
       console.error('[mqtt] message handling failed:', err.message);
     }
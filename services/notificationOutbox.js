@@ -0,0 +1,204 @@
+// =====================================================
+// Notification outbox worker
+// Sends pending notification_deliveries rows (web push, email, Telegram)
+// and retries failures with exponential backoff.
+// =====================================================
+
+const { getBotInstance } = require('./telegramBot');
+const { sendEmail, renderNotificationEmail, appendEmailLines } = require('./emailChannel');
+const { generatePeriodReport } = require('./periodReport');
+const {
+  DELIVERY_PENDING,
+  DELIVERY_DELIVERED,
+  DELIVERY_FAILED,
+  claimDueDeliveries,
+  updateDelivery,
+  sendPushToEndpoint,
+  setTelegramSubscription
+} = require('./supabaseClient');
+
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.OUTBOX_MAX_ATTEMPTS) || 6);
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 5000;
+const BATCH_SIZE = 50;
+// One generated PDF serves every recipient of the same dispatch.
+const ATTACHMENT_CACHE_MS = 10 * 60 * 1000;
+
+const TELEGRAM_PREFIX = {
+  alert: '⚠️',
+  alert_cleared: '✅',
+  anomaly: '🔍',
+  report: '📊'
+};
+
+let busy = false;
+let rerun = false;
+let pollTimer = null;
+const attachmentCache = new Map();
+
+function formatTelegramText({ title, message, type, telegram }) {
+  if (telegram) return telegram;
+  const prefix = TELEGRAM_PREFIX[type] || '🔔';
+  return `${prefix} ${title}\n${message}`;
+}
+
+// 403 means the user blocked the bot or the chat is gone for good.
+function isChatBlockedError(err) {
+  const code = err?.response?.statusCode ?? err?.response?.body?.error_code;
+  return Number(code) === 403;
+}
+
+async function loadAttachment(item) {
+  const key = `${item.period}|${item.date}|${item.user_id}`;
+  const cached = attachmentCache.get(key);
+  if (cached && Date.now() - cached.at < ATTACHMENT_CACHE_MS) return cached.file;
+
+  const file = await generatePeriodReport(item.period, { userId: item.user_id, date: item.date, format: 'pdf' });
+  attachmentCache.set(key, { at: Date.now(), file });
+  return file;
+}
+
+// payload.attachments: [{ period, date, user_id, link_text }] -> { files, links }.
+// Runs before anything is sent. A report that cannot be generated is replaced
+// by its download link, so the notification still goes out (once) without it.
+async function loadAttachments(payload) {
+  const files = [];
+  const links = [];
+  for (const item of payload.attachments || []) {
+    try {
+      files.push({ ...await loadAttachment(item), link_text: item.link_text });
+    } catch (err) {
+      console.warn(`[outbox] ${item.period} report for ${item.date} not attached:`, err.message);
+      links.push(item.link_text || `The ${item.period} report could not be attached.`);
+    }
+  }
+  for (const [key, entry] of attachmentCache) {
+    if (Date.now() - entry.at >= ATTACHMENT_CACHE_MS) attachmentCache.delete(key);
+  }
+  return { files, links };
+}
+
+// Each sender returns { ok, error, permanent }.
+const CHANNEL_SENDERS = {
+  web_push: (delivery) => sendPushToEndpoint(delivery.recipient, {
+    ...delivery.payload,
+    message: delivery.payload.push || delivery.payload.message
+  }),
+
+  email: async (delivery) => {
+    const { files, links } = await loadAttachments(delivery.payload);
+    const content = appendEmailLines(delivery.payload.email || renderNotificationEmail(delivery.payload), links);
+    const attachments = files.map((file) => ({
+      filename: file.filename,
+      content: file.content,
+      contentType: file.contentType
+    }));
+    const result = await sendEmail({ to: delivery.recipient, ...content, attachments, maxAttempts: 1 });
+    return { ok: result.sent, error: result.error, permanent: result.permanent };
+  },
+
+  telegram: async (delivery) => {
+    const bot = getBotInstance();
+    if (!bot) return { ok: false, error: 'bot-unavailable', permanent: false };
+    const { files, links } = await loadAttachments(delivery.payload);
+    try {
+      await bot.sendMessage(delivery.recipient, [formatTelegramText(delivery.payload), ...links].join('\n'));
+    } catch (err) {
+      if (isChatBlockedError(err)) {
+        await setTelegramSubscription(delivery.recipient, false);
+        console.warn(`[telegram] chat ${delivery.recipient} blocked the bot; unsubscribed`);
+        return { ok: false, error: 'chat blocked the bot', permanent: true };
+      }
+      return { ok: false, error: err.message, permanent: false };
+    }
+
+    // The text is out and a retry would send it again, so a document that fails
+    // is replaced by its link instead of failing the delivery.
+    for (const file of files) {
+      try {
+        await bot.sendDocument(
+          delivery.recipient,
+          file.content,
+          { caption: file.title },
+          { filename: file.filename, contentType: file.contentType }
+        );
+      } catch (err) {
+        console.warn(`[telegram] ${file.filename} not sent to chat ${delivery.recipient}:`, err.message);
+        if (file.link_text) await bot.sendMessage(delivery.recipient, file.link_text).catch(() => {});
+      }
+    }
+    return { ok: true, error: null, permanent: false };
+  }
+};
+
+async function processDelivery(delivery) {
+  const send = CHANNEL_SENDERS[delivery.channel];
+  let result;
+  try {
+    result = send
+      ? await send(delivery)
+      : { ok: false, error: `unknown channel ${delivery.channel}`, permanent: true };
+  } catch (err) {
+    result = { ok: false, error: err.message, permanent: false };
+  }
+
+  const attempts = (Number(delivery.attempts) || 0) + 1;
+  if (result.ok) {
+    await updateDelivery(delivery.id, {
+      status: DELIVERY_DELIVERED,
+      attempts,
+      last_error: null,
+      delivered_at: new Date().toISOString()
+    });
+    return;
+  }
+
+  const giveUp = result.permanent || attempts >= MAX_ATTEMPTS;
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempts - 1));
+  await updateDelivery(delivery.id, {
+    status: giveUp ? DELIVERY_FAILED : DELIVERY_PENDING,
+    attempts,
+    last_error: String(result.error || 'send failed').slice(0, 500),
+    next_attempt_at: new Date(Date.now() + delay).toISOString()
+  });
+  if (giveUp) {
+    console.warn(`[outbox] ${delivery.channel} delivery ${delivery.id} failed after ${attempts} attempts: ${result.error}`);
+  }
+}
+
+async function runOutbox() {
+  if (busy) {
+    rerun = true;
+    return;
+  }
+  busy = true;
+  try {
+    do {
+      rerun = false;
+      const due = await claimDueDeliveries(BATCH_SIZE);
+      for (const delivery of due) await processDelivery(delivery);
+      if (due.length === BATCH_SIZE) rerun = true;
+    } while (rerun);
+  } catch (err) {
+    console.error('[outbox] run failed:', err.message);
+  } finally {
+    busy = false;
+  }
+}
+
+// Call after new notifications so they go out without waiting for the next poll.
+function kickNotificationOutbox() {
+  runOutbox();
+}
+
+function startNotificationOutbox() {
+  if (pollTimer) return;
+  pollTimer = setInterval(runOutbox, POLL_INTERVAL_MS);
+  runOutbox();
+}
+
+module.exports = {
+  startNotificationOutbox,
+  kickNotificationOutbox
+};
@@ -0,0 +1,78 @@
+// =====================================================
+// Notification dispatch (feed, outbox channels, webhooks)
+// One path for alerts and reports so every channel sees the same events.
+// Push, email and Telegram delivery is tracked per recipient by the outbox.
+// =====================================================
+
+const { DEFAULT_USER_ID, insertWebNotification } = require('./supabaseClient');
+const { kickNotificationOutbox } = require('./notificationOutbox');
+const { emitWebhookEvent } = require('./webhooks');
+
+async function dispatchNotification({ title, message, type = 'info', userId, kind = null, metric = null }) {
+  const owner = userId || DEFAULT_USER_ID;
+  const stored = await insertWebNotification(title, message, type, { userId: owner, kind, metric });
+  kickNotificationOutbox();
+  return { userId: owner, stored };
+}
+
+// Sends every event from processThresholdAlerts / processSensorWatchdog results; one failing owner does not stop the rest.
+async function dispatchThresholdAlerts(results) {
+  for (const result of results || []) {
+    for (const event of result?.events || []) {
+      try {
+        await dispatchNotification({
+          title: event.title,
+          message: event.message,
+          type: event.type,
+          userId: result.userId,
+          kind: event.kind,
+          metric: event.metric
+        });
+        if (event.event === 'raised') {
+          emitWebhookEvent('alert.raised', {
+            title: event.title,
+            message: event.message,
+            metric: event.metric,
+            device_id: event.device_id,
+            value: event.value,
+            threshold: event.threshold,
+            alert_if_above: event.alert_if_above,
+            rule: event.rule
+          }, { userId: result.userId });
+        } else if (event.event === 'anomaly') {
+          emitWebhookEvent('anomaly.detected', {
+            title: event.title,
+            message: event.message,
+            metric: event.metric,
+            device_id: event.device_id,
+            value: event.value,
+            expected: event.expected,
+            z_score: event.z_score
+          }, { userId: result.userId });
+        }
+      } catch (err) {
+        console.error(`[alerts] dispatch failed for ${result.userId}:`, err.message);
+      }
+    }
+  }
+}
+
+// For a sent processScheduledReportDispatch result; its notification and deliveries already exist.
+async function dispatchScheduledReport(result) {
+  kickNotificationOutbox();
+  emitWebhookEvent('report.sent', {
+    title: result.title,
+    message: result.message,
+    date: result.dateYMD,
+    time: result.reportTime,
+    late: result.late,
+    sent_at: result.sentAt,
+    digest: result.digest
+  }, { userId: result.userId });
+}
+
+module.exports = {
+  dispatchNotification,
+  dispatchThresholdAlerts,
+  dispatchScheduledReport
+};
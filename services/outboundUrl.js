@@ -0,0 +1,109 @@
+// =====================================================
+// Outbound URL guard (user-supplied webhook receivers)
+// Only public hosts may receive deliveries: loopback, private, link-local
+// (including cloud metadata), CGNAT, multicast and reserved ranges are
+// refused when a URL is registered and again on every connection, so a
+// DNS answer that changes after registration is still caught.
+// =====================================================
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// ::ffff:a.b.c.d (or its hex form) reaches the IPv4 host, so check it as one.
+function unmapIPv4(address) {
+  const match = /^::ffff:(?:([\d.]+)|([\da-f]{1,4}):([\da-f]{1,4}))$/i.exec(address);
+  if (!match) return null;
+  if (match[1]) return net.isIPv4(match[1]) ? match[1] : null;
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return blockedAddresses.check(address, 'ipv4');
+  if (family !== 6) return true;
+  const mapped = unmapIPv4(address.toLowerCase());
+  if (mapped) return blockedAddresses.check(mapped, 'ipv4');
+  return blockedAddresses.check(address, 'ipv6');
+}
+
+function blockedError() {
+  const err = new Error('blocked: non-public address');
+  err.code = 'EBLOCKEDADDRESS';
+  return err;
+}
+
+// dns.lookup drop-in for http.request: every resolved address must be public,
+// and the connection uses the address that was checked.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some((a) => isBlockedAddress(a.address))) {
+      return callback(blockedError());
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Throws blocked / resolution errors; returns the parsed URL.
+async function assertPublicUrl(urlString) {
+  const url = new URL(urlString);
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error('url must be http(s)');
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    if (isBlockedAddress(host)) throw blockedError();
+    return url;
+  }
+
+  const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  if (addresses.length === 0 || addresses.some((a) => isBlockedAddress(a.address))) throw blockedError();
+  return url;
+}
+
+// POSTs body and resolves with the status code. Redirects are never followed:
+// a 3xx is returned as-is and counts as a failed delivery.
+async function postToPublicUrl(urlString, { headers = {}, body = '', timeoutMs = 10000 } = {}) {
+  const url = await assertPublicUrl(urlString);
+  const transport = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.setTimeout(timeoutMs, () => {
+      const err = new Error('timeout');
+      err.name = 'TimeoutError';
+      req.destroy(err);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  isBlockedAddress,
+  assertPublicUrl,
+  postToPublicUrl
+};
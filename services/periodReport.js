@@ -0,0 +1,261 @@
+// =====================================================
+// Weekly / monthly environmental reports (HTML and PDF)
+// Data comes from buildPeriodReport in supabaseClient; charts are the
+// same PNGs the Telegram /chart command sends.
+// =====================================================
+
+const PDFDocument = require('pdfkit');
+const { renderLineChartPng } = require('./chartRenderer');
+const { escapeHtml } = require('./emailChannel');
+const { buildPeriodReport } = require('./supabaseClient');
+
+const CHART_SIZE = { width: 800, height: 260 };
+const REPORT_FORMATS = {
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+function resolveReportFormat(formatInput) {
+  const format = String(formatInput || 'html').trim().toLowerCase();
+  return REPORT_FORMATS[format] ? format : null;
+}
+
+function formatValue(entry, value) {
+  if (!Number.isFinite(value)) return '-';
+  return `${value.toFixed(entry.decimals)}${entry.unit ? ` ${entry.unit}` : ''}`;
+}
+
+function formatHours(hours) {
+  return `${(Math.round(hours * 10) / 10).toFixed(1)} h`;
+}
+
+function formatTimestamp(iso, timezone) {
+  if (!iso) return '-';
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  }).format(new Date(iso));
+}
+
+function describeRule(exceedance) {
+  return `${exceedance.alert_if_above ? '>=' : '<='} ${exceedance.threshold}`;
+}
+
+// Rows shared by both renderings so HTML and PDF always show the same numbers.
+function buildTables(report) {
+  const withData = report.metrics.filter((entry) => entry.samples > 0);
+  return {
+    summary: withData.map((entry) => [
+      entry.label,
+      formatValue(entry, entry.min),
+      formatValue(entry, entry.avg),
+      formatValue(entry, entry.max),
+      formatTimestamp(entry.peakAt, report.timezone),
+      formatHours(entry.coverageHours)
+    ]),
+    dailyHeader: ['Date', ...withData.map((entry) => `${entry.label} min / max`)],
+    daily: report.metrics[0].daily.map((day, i) => [
+      day.date,
+      ...withData.map((entry) => {
+        const stats = entry.daily[i];
+        return stats.samples > 0 ? `${formatValue(entry, stats.min)} / ${formatValue(entry, stats.max)}` : '-';
+      })
+    ]),
+    exceedance: report.metrics
+      .filter((entry) => entry.exceedance)
+      .map((entry) => [entry.label, describeRule(entry.exceedance), formatHours(entry.exceedance.hours)]),
+    uv: report.exposure.uv.map((band) => [band.label, formatHours(band.hours)]),
+    co2: report.exposure.co2.map((band) => [band.label, formatHours(band.hours)]),
+    alerts: report.alerts.byMetric.map((item) => [item.label, String(item.count)])
+  };
+}
+
+function describePeriod(report) {
+  return `${report.startYMD} to ${report.lastYMD} (${report.timezone})`;
+}
+
+// =====================================================
+// HTML
+// =====================================================
+
+function htmlTable(header, rows, empty = 'No data.') {
+  const head = `<tr>${header.map((cell) => `<th>${escapeHtml(cell)}</th>`).join('')}</tr>`;
+  const body = rows.length === 0
+    ? `<tr><td colspan="${header.length}">${escapeHtml(empty)}</td></tr>`
+    : rows.map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  return `<table>\n${head}\n${body}\n</table>`;
+}
+
+function renderPeriodReportHtml(report) {
+  const tables = buildTables(report);
+  const charts = report.metrics
+    .filter((entry) => entry.samples > 0)
+    .map((entry) => {
+      const png = renderLineChartPng(entry.points, CHART_SIZE).toString('base64');
+      return `<figure>
+  <img src="data:image/png;base64,${png}" alt="${escapeHtml(entry.label)} chart">
+  <figcaption>${escapeHtml(entry.label)}: ${escapeHtml(formatValue(entry, entry.min))} to ${escapeHtml(formatValue(entry, entry.max))}, ${report.bucketMinutes}-minute averages with min/max band</figcaption>
+</figure>`;
+    })
+    .join('\n');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #0f172a; max-width: 900px; margin: 32px auto; padding: 0 16px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 17px; margin-top: 32px; border-bottom: 2px solid #2563eb; padding-bottom: 4px; }
+  .meta { color: #64748b; font-size: 13px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border-bottom: 1px solid #e2e8f0; padding: 6px 8px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { color: #64748b; font-weight: normal; }
+  figure { margin: 16px 0; }
+  figure img { width: 100%; border: 1px solid #e2e8f0; }
+  figcaption { color: #64748b; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">Period ${escapeHtml(describePeriod(report))}. Generated ${escapeHtml(formatTimestamp(report.generatedAt, report.timezone))}.</p>
+
+<h2>Summary</h2>
+${htmlTable(['Metric', 'Min', 'Avg', 'Max', 'Peak at', 'Data coverage'], tables.summary, 'No sensor data in this period.')}
+
+<h2>Charts</h2>
+${charts || '<p>No sensor data in this period.</p>'}
+
+<h2>Daily min / max</h2>
+${htmlTable(tables.dailyHeader, tables.daily)}
+
+<h2>Threshold exceedance</h2>
+<p class="meta">Time the ${report.bucketMinutes}-minute average spent beyond each alert threshold. ${escapeHtml(String(report.alerts.total))} alerts were raised in this period.</p>
+${htmlTable(['Metric', 'Threshold', 'Hours beyond'], tables.exceedance)}
+${tables.alerts.length > 0 ? htmlTable(['Alerts raised', 'Count'], tables.alerts) : ''}
+
+<h2>UV exposure</h2>
+${htmlTable(['UV index band', 'Hours'], tables.uv)}
+
+<h2>CO₂ exposure</h2>
+${htmlTable(['CO₂ band', 'Hours'], tables.co2)}
+</body>
+</html>`;
+}
+
+// =====================================================
+// PDF
+// =====================================================
+
+const PDF_MARGIN = 48;
+
+function pdfHeading(doc, text) {
+  if (doc.y > doc.page.height - PDF_MARGIN - 80) doc.addPage();
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor('#0f172a').text(text, PDF_MARGIN);
+  doc.moveDown(0.3).font('Helvetica').fontSize(9);
+}
+
+// The first column gets a fixed share of the width; the others split the rest evenly.
+function pdfTable(doc, header, rows, empty = 'No data.') {
+  const width = doc.page.width - PDF_MARGIN * 2;
+  const firstWidth = header.length > 2 ? width * 0.22 : width * 0.5;
+  const otherWidth = (width - firstWidth) / Math.max(1, header.length - 1);
+  const columnX = (i) => PDF_MARGIN + (i === 0 ? 0 : firstWidth + otherWidth * (i - 1));
+  const columnWidth = (i) => (i === 0 ? firstWidth : otherWidth);
+
+  const drawRow = (cells, { bold = false, color = '#0f172a' } = {}) => {
+    if (doc.y > doc.page.height - PDF_MARGIN - 20) doc.addPage();
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5).fillColor(color);
+    let height = 0;
+    cells.forEach((cell, i) => {
+      const options = { width: columnWidth(i) - 4, align: i === 0 ? 'left' : 'right' };
+      doc.text(String(cell), columnX(i), y, options);
+      height = Math.max(height, doc.heightOfString(String(cell), options));
+    });
+    doc.y = y + height + 4;
+    doc.moveTo(PDF_MARGIN, doc.y - 2).lineTo(PDF_MARGIN + width, doc.y - 2).strokeColor('#e2e8f0').lineWidth(0.5).stroke();
+  };
+
+  drawRow(header, { bold: true, color: '#64748b' });
+  if (rows.length === 0) drawRow([empty]);
+  for (const row of rows) drawRow(row);
+  doc.x = PDF_MARGIN;
+}
+
+// Resolves to the finished PDF as a Buffer.
+function renderPeriodReportPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PDF_MARGIN, info: { Title: report.title, Author: 'CampusSense' } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const tables = buildTables(report);
+    const contentWidth = doc.page.width - PDF_MARGIN * 2;
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#0f172a').text(report.title);
+    doc.font('Helvetica').fontSize(9).fillColor('#64748b')
+      .text(`Period ${describePeriod(report)}. Generated ${formatTimestamp(report.generatedAt, report.timezone)}.`);
+
+    pdfHeading(doc, 'Summary');
+    pdfTable(doc, ['Metric', 'Min', 'Avg', 'Max', 'Peak at', 'Data coverage'], tables.summary, 'No sensor data in this period.');
+
+    pdfHeading(doc, 'Charts');
+    const chartHeight = contentWidth * (CHART_SIZE.height / CHART_SIZE.width);
+    for (const entry of report.metrics.filter((item) => item.samples > 0)) {
+      if (doc.y + chartHeight + 30 > doc.page.height - PDF_MARGIN) doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(9).fillColor('#0f172a')
+        .text(`${entry.label}: ${formatValue(entry, entry.min)} to ${formatValue(entry, entry.max)}`, PDF_MARGIN);
+      doc.image(renderLineChartPng(entry.points, CHART_SIZE), PDF_MARGIN, doc.y + 2, { width: contentWidth });
+      doc.y += chartHeight + 10;
+    }
+
+    pdfHeading(doc, 'Daily min / max');
+    pdfTable(doc, tables.dailyHeader, tables.daily);
+
+    pdfHeading(doc, 'Threshold exceedance');
+    doc.fillColor('#64748b').text(
+      `Time the ${report.bucketMinutes}-minute average spent beyond each alert threshold. ` +
+      `${report.alerts.total} alerts were raised in this period.`,
+      PDF_MARGIN
+    );
+    doc.moveDown(0.3);
+    pdfTable(doc, ['Metric', 'Threshold', 'Hours beyond'], tables.exceedance);
+    if (tables.alerts.length > 0) {
+      doc.moveDown(0.5);
+      pdfTable(doc, ['Alerts raised', 'Count'], tables.alerts);
+    }
+
+    pdfHeading(doc, 'UV exposure');
+    pdfTable(doc, ['UV index band', 'Hours'], tables.uv);
+
+    pdfHeading(doc, 'CO2 exposure');
+    pdfTable(doc, ['CO2 band', 'Hours'], tables.co2);
+
+    doc.end();
+  });
+}
+
+function getReportFilename(report, format) {
+  return `campussense-${report.period}-${report.startYMD}.${format}`;
+}
+
+// format: 'html' or 'pdf'. Returns { filename, contentType, content, title }.
+async function generatePeriodReport(period, { userId, date, format = 'html' } = {}) {
+  const report = await buildPeriodReport(period, { userId, date });
+  const content = format === 'pdf' ? await renderPeriodReportPdf(report) : renderPeriodReportHtml(report);
+  return { filename: getReportFilename(report, format), contentType: REPORT_FORMATS[format], content, title: report.title };
+}
+
+module.exports = {
+  resolveReportFormat,
+  generatePeriodReport
+};
@@ -0,0 +1,176 @@
+// =====================================================
+// Report digest renderings
+// A digest summarizes one report period (see buildReportDigest in
+// supabaseClient); each channel gets its own layout of the same numbers.
+// =====================================================
+
+const { renderReportEmail } = require('./emailChannel');
+
+const TREND_ARROWS = {
+  up: '↑',
+  down: '↓',
+  flat: '→',
+  none: '–'
+};
+
+const TELEGRAM_ICONS = {
+  bmp_temp: '🌡',
+  humidity: '💧',
+  dew_point: '🌫',
+  heat_index: '🥵',
+  absolute_humidity: '💦',
+  pressure: '🧭',
+  co2: '🫁',
+  uv: '☀️',
+  rain_percentage: '🌧'
+};
+
+// Push bodies are cut off by most browsers after a couple of lines.
+const PUSH_LABELS = {
+  bmp_temp: 'Temp',
+  humidity: 'Hum',
+  dew_point: 'Dew',
+  heat_index: 'HI',
+  absolute_humidity: 'AbsH',
+  pressure: 'Pres',
+  co2: 'CO2',
+  uv: 'UV',
+  rain_percentage: 'Rain'
+};
+
+function formatDigestValue(entry, value) {
+  if (!Number.isFinite(value)) return 'N/A';
+  return `${value.toFixed(entry.decimals)}${entry.unit ? ` ${entry.unit}` : ''}`;
+}
+
+function describeTrend(entry) {
+  const arrow = TREND_ARROWS[entry.trend] || TREND_ARROWS.none;
+  if (!Number.isFinite(entry.prevAvg)) return `${arrow} (no data yesterday)`;
+  return `${arrow} vs ${formatDigestValue(entry, entry.prevAvg)} yesterday`;
+}
+
+function describePeriod(digest) {
+  return `${digest.periodStartHHMM}–${digest.periodEndHHMM} (${digest.timezone}), ${digest.periodLabel}`;
+}
+
+function describeAlerts(digest) {
+  const { total, byMetric } = digest.alerts;
+  if (total === 0) return 'Alerts raised: none';
+  const parts = byMetric.map((item) => `${item.label} ${item.count}`).join(', ');
+  return `Alerts raised: ${total} (${parts})`;
+}
+
+// Only mentioned when there were any; anomalies held back by quiet hours are not counted.
+function describeAnomalies(digest) {
+  const { total, byMetric } = digest.anomalies;
+  if (total === 0) return null;
+  const parts = byMetric.map((item) => `${item.label} ${item.count}`).join(', ');
+  return `Anomalies: ${total} (${parts})`;
+}
+
+function describeAirQuality(digest) {
+  if (!digest.airQuality) return null;
+  const { band, worst } = digest.airQuality;
+  return band === worst ? `Air quality (CO2): ${band}` : `Air quality (CO2): ${band}, at worst ${worst}`;
+}
+
+// digest.late is set when a missed slot is sent after its scheduled minute.
+function describeLate(digest) {
+  if (!digest.late) return null;
+  return `Sent late at ${digest.late.sentHHMM} (${digest.late.minutes} min after schedule)`;
+}
+
+function withData(digest) {
+  return digest.metrics.filter((entry) => entry.samples > 0);
+}
+
+// Stored as the notification message; shown in the dashboard feed.
+function renderDigestText(digest) {
+  const entries = withData(digest);
+  const header = [describeLate(digest), `Period ${describePeriod(digest)}`].filter(Boolean);
+  if (entries.length === 0) {
+    return [...header, 'No sensor data in this period.', describeAlerts(digest), describeAnomalies(digest)].filter(Boolean).join('\n');
+  }
+
+  return [
+    ...header,
+    ...entries.map((entry) =>
+      `${entry.label}: min ${formatDigestValue(entry, entry.min)} | avg ${formatDigestValue(entry, entry.avg)} | ` +
+      `max ${formatDigestValue(entry, entry.max)} at ${entry.peakHHMM} | ${describeTrend(entry)}`),
+    describeAirQuality(digest),
+    describeAlerts(digest),
+    describeAnomalies(digest)
+  ].filter(Boolean).join('\n');
+}
+
+function renderDigestTelegram(digest, title) {
+  const entries = withData(digest);
+  const lines = [`📊 ${title}`, `🕒 ${describePeriod(digest)}`];
+  if (digest.late) lines.push(`⏰ ${describeLate(digest)}`);
+  lines.push('');
+
+  if (entries.length === 0) {
+    lines.push('No sensor data in this period.');
+  } else {
+    for (const entry of entries) {
+      const icon = TELEGRAM_ICONS[entry.metric] || '•';
+      lines.push(`${icon} ${entry.label} ${TREND_ARROWS[entry.trend] || TREND_ARROWS.none}`);
+      lines.push(`   ${formatDigestValue(entry, entry.min)} / ${formatDigestValue(entry, entry.avg)} / ` +
+        `${formatDigestValue(entry, entry.max)} (peak ${entry.peakHHMM})`);
+    }
+    lines.push('', 'min / avg / max, arrows vs same period yesterday');
+    if (digest.airQuality) lines.push(`🫁 ${describeAirQuality(digest)}`);
+  }
+
+  lines.push('', `⚠️ ${describeAlerts(digest)}`);
+  if (digest.anomalies.total > 0) lines.push(`🔍 ${describeAnomalies(digest)}`);
+  return lines.join('\n');
+}
+
+function renderDigestPush(digest) {
+  const entries = withData(digest);
+  const anomalies = digest.anomalies.total;
+  const alerts = (digest.alerts.total === 1 ? '1 alert' : `${digest.alerts.total} alerts`) +
+    (anomalies > 0 ? ` · ${anomalies === 1 ? '1 anomaly' : `${anomalies} anomalies`}` : '');
+  const late = digest.late ? 'Late · ' : '';
+  if (entries.length === 0) return `${late}No sensor data ${digest.periodStartHHMM}–${digest.periodEndHHMM} · ${alerts}`;
+
+  const parts = entries.map((entry) =>
+    `${PUSH_LABELS[entry.metric] || entry.label} ${entry.avg.toFixed(entry.decimals)}${entry.trend === 'none' ? '' : TREND_ARROWS[entry.trend]}`);
+  return `${late}${parts.join(' · ')} · ${alerts}`;
+}
+
+function renderDigestEmail(digest, title) {
+  const entries = withData(digest);
+  return renderReportEmail({
+    title,
+    subtitle: [`Period ${describePeriod(digest)}`, describeLate(digest)].filter(Boolean).join('. '),
+    columns: ['Metric', 'Min', 'Avg', 'Max', 'Peak at', 'vs yesterday'],
+    rows: entries.map((entry) => [
+      entry.label,
+      formatDigestValue(entry, entry.min),
+      formatDigestValue(entry, entry.avg),
+      formatDigestValue(entry, entry.max),
+      entry.peakHHMM,
+      Number.isFinite(entry.prevAvg) ? `${TREND_ARROWS[entry.trend]} ${formatDigestValue(entry, entry.prevAvg)}` : TREND_ARROWS.none
+    ]),
+    empty: 'No sensor data in this period.',
+    footer: [describeAirQuality(digest), describeAlerts(digest), describeAnomalies(digest)].filter(Boolean).join('. ')
+  });
+}
+
+// Returns the notification message plus per-channel overrides for the outbox.
+function renderReportDigest(digest, title) {
+  return {
+    message: renderDigestText(digest),
+    channelContent: {
+      telegram: renderDigestTelegram(digest, title),
+      push: renderDigestPush(digest),
+      email: renderDigestEmail(digest, title)
+    }
+  };
+}
+
+module.exports = {
+  renderReportDigest
+};
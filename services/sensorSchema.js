@@ -0,0 +1,68 @@
+// =====================================================
+// Sensor payload schema (MQTT ingest validation)
+// =====================================================
+
+// Physical ranges per sensor_data column; values outside are treated as sensor faults.
+const SENSOR_PAYLOAD_SCHEMA = {
+  bmp_temp: { min: -40, max: 85, unit: 'C' },
+  dht_temp: { min: -40, max: 80, unit: 'C' },
+  humidity: { min: 0, max: 100, unit: '%' },
+  pressure: { min: 800, max: 1100, unit: 'hPa' },
+  co2_ppm: { min: 0, max: 10000, unit: 'ppm' },
+  uv_index: { min: 0, max: 20, unit: '' },
+  light_pcnt: { min: 0, max: 100, unit: '%' },
+  rain_pcnt: { min: 0, max: 100, unit: '%' }
+};
+
+function parseFieldValue(raw) {
+  if (raw === undefined || raw === null) return { value: null, issue: 'missing' };
+  if (typeof raw === 'string' && raw.trim() === '') return { value: null, issue: 'missing' };
+  if (typeof raw !== 'number' && typeof raw !== 'string') return { value: null, issue: 'not-a-number' };
+
+  const n = Number(raw);
+  if (!Number.isFinite(n)) return { value: null, issue: 'not-a-number' };
+  return { value: n, issue: null };
+}
+
+// Returns { ok, data, issues, reason }. Invalid fields are nulled; a payload with no
+// usable field at all is rejected.
+function validateSensorPayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, data: null, issues: [], reason: 'payload-not-object' };
+  }
+
+  const data = {};
+  const issues = [];
+  let validCount = 0;
+
+  for (const [field, rule] of Object.entries(SENSOR_PAYLOAD_SCHEMA)) {
+    const { value, issue } = parseFieldValue(payload[field]);
+    if (issue) {
+      data[field] = null;
+      issues.push({ field, issue, value: payload[field] ?? null });
+      continue;
+    }
+    if (value < rule.min || value > rule.max) {
+      data[field] = null;
+      issues.push({ field, issue: 'out-of-range', value, min: rule.min, max: rule.max });
+      continue;
+    }
+    data[field] = value;
+    validCount += 1;
+  }
+
+  if (validCount === 0) {
+    return { ok: false, data: null, issues, reason: 'no-valid-fields' };
+  }
+  return { ok: true, data, issues, reason: null };
+}
+
+function describeIssues(issues) {
+  return issues.map((i) => `${i.field}:${i.issue}`).join(', ');
+}
+
+module.exports = {
+  SENSOR_PAYLOAD_SCHEMA,
+  validateSensorPayload,
+  describeIssues
+};
@@ -6,10 +6,23 @@
 // - alert_thresholds
 // - app_settings
 // - telegram_subscribers
+// - devices
+// - sensor_rejects
+// - webhooks
+// - notification_deliveries
+// - scheduled_reports
+// - report_history
+// - sensor_anomalies
 // =====================================================
 
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
 const webPush = require('web-push');
+const { publishStreamEvent } = require('./liveStream');
+const { isEmailConfigured, isValidEmail } = require('./emailChannel');
+const { renderReportDigest } = require('./reportDigest');
+const { assertPublicUrl } = require('./outboundUrl');
+const { CO2_BANDS, computeDerivedMetrics, getCo2Band } = require('./derivedMetrics');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -18,32 +31,85 @@ const supabase = createClient(
 );
 
 const DEFAULT_USER_ID = 'global-user';
+const DEFAULT_DEVICE_ID = 'default';
+const DEVICE_ID_REGEX = /^[A-Za-z0-9_.:-]{1,64}$/;
 const APP_SETTINGS_KEY = 'global';
+const USER_SETTINGS_KEY_PREFIX = 'user:';
 const DEFAULT_TIMEZONE = 'Asia/Kolkata';
 const DEFAULT_ALERT_RATE = 'immediate';
 const DEFAULT_REPORT_TIMES = ['09:00', '12:00', '18:00'];
 const ALLOWED_ALERT_RATES = new Set(['immediate', '15min', '30min', 'hourly']);
 const TIME_REGEX = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '22:00', end: '07:00', days: ALL_WEEKDAYS };
 const DEFAULT_VAPID_SUBJECT = 'mailto:admin@campussense.local';
+const MAX_EMAIL_RECIPIENTS = 20;
+const PERIOD_REPORT_TYPES = ['weekly', 'monthly'];
 
 const DEFAULT_THRESHOLD_ROWS = [
-  { metric: 'aqi', threshold_value: 450, alert_if_above: true, description: 'Air quality threshold' },
+  { metric: 'co2', threshold_value: 450, alert_if_above: true, description: 'CO2 threshold' },
   { metric: 'uv', threshold_value: 7.0, alert_if_above: true, description: 'UV threshold' },
   { metric: 'bmp_temp', threshold_value: 28.0, alert_if_above: true, description: 'Temperature threshold' },
   { metric: 'pressure', threshold_value: 990, alert_if_above: false, description: 'Pressure threshold' },
   { metric: 'rain_percentage', threshold_value: 70, alert_if_above: true, description: 'Rain threshold' }
 ];
 
+// Per-metric alert tuning stored alongside each alert_thresholds row.
+// alert_rate null means the metric follows the user's global alert_rate;
+// critical metrics still alert during quiet hours.
+const DEFAULT_ALERT_TUNING = {
+  co2: { hysteresis: 50, min_duration_seconds: 60, alert_rate: null, critical: false },
+  uv: { hysteresis: 0.5, min_duration_seconds: 60, alert_rate: null, critical: false },
+  bmp_temp: { hysteresis: 0.5, min_duration_seconds: 60, alert_rate: null, critical: false },
+  pressure: { hysteresis: 2, min_duration_seconds: 60, alert_rate: null, critical: false },
+  rain_percentage: { hysteresis: 5, min_duration_seconds: 60, alert_rate: null, critical: false },
+  dew_point: { hysteresis: 0.5, min_duration_seconds: 60, alert_rate: null, critical: false },
+  heat_index: { hysteresis: 0.5, min_duration_seconds: 60, alert_rate: null, critical: false },
+  absolute_humidity: { hysteresis: 0.5, min_duration_seconds: 60, alert_rate: null, critical: false }
+};
+
+const THRESHOLD_TUNING_FIELDS = {
+  hysteresis: (value) => {
+    const n = safeNumber(value);
+    return Number.isFinite(n) && n >= 0 ? n : undefined;
+  },
+  min_duration_seconds: (value) => {
+    const n = safeNumber(value);
+    return Number.isInteger(n) && n >= 0 && n <= 86400 ? n : undefined;
+  },
+  alert_rate: (value) => {
+    if (value === null || value === '') return null;
+    const rate = String(value).trim();
+    return ALLOWED_ALERT_RATES.has(rate) ? rate : undefined;
+  },
+  critical: (value) => (typeof value === 'boolean' ? value : undefined)
+};
+
 const METRIC_COLUMN_MAP = {
   bmp_temp: 'bmp_temp',
   dht_temp: 'dht_temp',
-  aqi: 'co2_ppm',
+  co2: 'co2_ppm',
   uv: 'uv_index',
   humidity: 'humidity',
   pressure: 'pressure',
   light_level: 'light_pcnt',
-  rain_percentage: 'rain_pcnt'
+  rain_percentage: 'rain_pcnt',
+  dew_point: 'dew_point',
+  heat_index: 'heat_index',
+  absolute_humidity: 'absolute_humidity'
 };
+// Computed from the measured columns at ingest (services/derivedMetrics.js).
+const DERIVED_METRICS = ['dew_point', 'heat_index', 'absolute_humidity'];
+// 'aqi' is the historical name of the CO2 metric (ppm, not an air quality index).
+// It is still accepted wherever a metric name is read (API input, rows written
+// before 20261019_rename_aqi_metric_to_co2.sql) but never written or returned.
+const METRIC_NAME_ALIASES = { aqi: 'co2' };
+
+function resolveMetricName(metric) {
+  const name = String(metric || '').trim();
+  return METRIC_NAME_ALIASES[name] || name;
+}
 
 function makeHttpError(statusCode, message) {
   const err = new Error(message);
@@ -51,6 +117,12 @@ function makeHttpError(statusCode, message) {
   return err;
 }
 
+function isMissingFunctionError(err, functionName) {
+  if (!err) return false;
+  const msg = String(err.message || '').toLowerCase();
+  return msg.includes('could not find the function') && msg.includes(String(functionName).toLowerCase());
+}
+
 function isMissingTableError(err, tableName) {
   if (!err) return false;
   const msg = String(err.message || '').toLowerCase();
@@ -58,10 +130,17 @@ function isMissingTableError(err, tableName) {
 }
 
 function safeNumber(value, fallback = null) {
+  if (value === null || value === '') return fallback;
   const n = Number(value);
   return Number.isFinite(n) ? n : fallback;
 }
 
+function normalizeDeviceId(value) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return null;
+  return DEVICE_ID_REGEX.test(raw) ? raw : null;
+}
+
 function normalizeTimes(times) {
   if (!Array.isArray(times)) return [];
   const unique = [];
@@ -88,42 +167,58 @@ function isWithinWindow(nowHHMM, startHHMM, endHHMM) {
   return now >= start || now <= end;
 }
 
-function getCurrentHHMM(timezone) {
+function getCurrentHHMM(timezone, date = new Date()) {
   const fmt = new Intl.DateTimeFormat('en-GB', {
     hour12: false,
     hour: '2-digit',
     minute: '2-digit',
     timeZone: timezone || DEFAULT_TIMEZONE
   });
-  return fmt.format(new Date());
+  return fmt.format(date);
+}
+
+function getCurrentWeekday(timezone, date = new Date()) {
+  const short = new Intl.DateTimeFormat('en-US', {
+    weekday: 'short',
+    timeZone: timezone || DEFAULT_TIMEZONE
+  }).format(date);
+  return WEEKDAY_INDEX[short] ?? 0;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-function getCurrentDateYMD(timezone) {
+function getCurrentDateYMD(timezone, date = new Date()) {
   const parts = new Intl.DateTimeFormat('en-CA', {
     year: 'numeric',
     month: '2-digit',
     day: '2-digit',
     timeZone: timezone || DEFAULT_TIMEZONE
-  }).formatToParts(new Date());
+  }).formatToParts(date);
   const map = {};
   for (const part of parts) map[part.type] = part.value;
   return `${map.year}-${map.month}-${map.day}`;
 }
 
-function formatReading(value, unit = '') {
-  const n = safeNumber(value);
-  if (!Number.isFinite(n)) return 'N/A';
-  const rounded = Math.round(n * 10) / 10;
-  return `${rounded}${unit}`;
-}
-
 function getMetricMeta(metric) {
   const byMetric = {
-    aqi: { label: 'AQI', unit: 'ppm', decimals: 0 },
+    co2: { label: 'CO2', unit: 'ppm', decimals: 0 },
     uv: { label: 'UV', unit: '', decimals: 1 },
     bmp_temp: { label: 'BMP Temp', unit: 'C', decimals: 1 },
+    dht_temp: { label: 'DHT Temp', unit: 'C', decimals: 1 },
+    humidity: { label: 'Humidity', unit: '%', decimals: 0 },
     pressure: { label: 'Pressure', unit: 'hPa', decimals: 0 },
-    rain_percentage: { label: 'Rain', unit: '%', decimals: 0 }
+    light_level: { label: 'Light', unit: '%', decimals: 0 },
+    rain_percentage: { label: 'Rain', unit: '%', decimals: 0 },
+    dew_point: { label: 'Dew Point', unit: 'C', decimals: 1 },
+    heat_index: { label: 'Heat Index', unit: 'C', decimals: 1 },
+    absolute_humidity: { label: 'Abs Humidity', unit: 'g/m3', decimals: 1 }
   };
   return byMetric[metric] || { label: metric, unit: '', decimals: 1 };
 }
@@ -134,22 +229,6 @@ function formatMetricValue(value, decimals) {
   return Number(n).toFixed(Math.max(0, decimals));
 }
 
-function buildScheduledReportMessage(latest, { nowHHMM, dateYMD, timezone }) {
-  if (!latest) {
-    return `Scheduled update (${nowHHMM}, ${timezone}) on ${dateYMD}: no sensor data available yet.`;
-  }
-
-  return [
-    `Scheduled update (${nowHHMM}, ${timezone})`,
-    `Temp ${formatReading(latest.bmp_temp, 'C')}`,
-    `Humidity ${formatReading(latest.humidity, '%')}`,
-    `Pressure ${formatReading(latest.pressure, ' hPa')}`,
-    `AQI ${formatReading(latest.aqi ?? latest.co2_ppm)}`,
-    `UV ${formatReading(latest.uv ?? latest.uv_index)}`,
-    `Rain ${formatReading(latest.rain_percentage ?? latest.rain_pcnt, '%')}`
-  ].join(' | ');
-}
-
 function getCooldownMs(alertRate) {
   switch (alertRate) {
     case 'immediate':
@@ -165,37 +244,91 @@ function getCooldownMs(alertRate) {
   }
 }
 
-function resolveRangeWindow(rangeInput) {
+const RANGE_DURATIONS_MS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000
+};
+const MAX_CUSTOM_RANGE_MS = 366 * 24 * 60 * 60 * 1000;
+const DEFAULT_GRAPH_POINTS = 300;
+const MAX_GRAPH_POINTS = 2000;
+const BUCKET_STEPS_SECONDS = [
+  5, 10, 15, 30, 60, 120, 300, 600, 900, 1800,
+  3600, 7200, 10800, 21600, 43200, 86400
+];
+const BUCKET_UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+function parseTimestamp(value) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return null;
+  const date = /^\d+$/.test(raw) ? new Date(Number(raw)) : new Date(raw);
+  return Number.isFinite(date.getTime()) ? date : null;
+}
+
+// range: 5m | 1h | 24h/today | 7d | 30d | 90d, or explicit from/to (ISO or epoch ms)
+function resolveRangeWindow(rangeInput, { from, to } = {}) {
   const now = new Date();
+
+  if (from || to) {
+    const start = parseTimestamp(from);
+    const end = to ? parseTimestamp(to) : now;
+    if (!start) throw makeHttpError(400, `Invalid from: ${from}`);
+    if (!end) throw makeHttpError(400, `Invalid to: ${to}`);
+    if (start >= end) throw makeHttpError(400, 'from must be earlier than to');
+    if (end - start > MAX_CUSTOM_RANGE_MS) throw makeHttpError(400, 'Requested range is too long (max 366 days)');
+    return { startIso: start.toISOString(), endIso: end.toISOString() };
+  }
+
   const range = String(rangeInput || '24h').trim();
-  let start = new Date(now);
-  let limit = 300;
-
-  if (range === '5m') {
-    start = new Date(now.getTime() - 5 * 60 * 1000);
-    limit = 120;
-  } else if (range === '1h') {
-    start = new Date(now.getTime() - 60 * 60 * 1000);
-    limit = 240;
-  } else if (range === '24h' || range === 'today') {
+  let start;
+
+  if (range === '24h' || range === 'today') {
     start = new Date(now);
     start.setHours(0, 0, 0, 0);
-    limit = 720;
-  } else if (range === '7d') {
-    start = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    limit = 1200;
+  } else if (RANGE_DURATIONS_MS[range]) {
+    start = new Date(now.getTime() - RANGE_DURATIONS_MS[range]);
   } else {
     throw makeHttpError(400, `Invalid range: ${range}`);
   }
 
-  return { startIso: start.toISOString(), endIso: now.toISOString(), limit };
+  return { startIso: start.toISOString(), endIso: now.toISOString() };
+}
+
+// bucket: "30s", "5m", "1h", "1d" or plain seconds
+function parseBucketSeconds(bucketInput) {
+  const raw = String(bucketInput ?? '').trim().toLowerCase();
+  if (!raw) return null;
+  const match = raw.match(/^(\d+)([smhd]?)$/);
+  if (!match) throw makeHttpError(400, `Invalid bucket: ${bucketInput}`);
+  const seconds = Number(match[1]) * BUCKET_UNIT_SECONDS[match[2] || 's'];
+  if (!Number.isFinite(seconds) || seconds < 1 || seconds > 31 * 86400) {
+    throw makeHttpError(400, `Invalid bucket: ${bucketInput}`);
+  }
+  return seconds;
+}
+
+// Smallest "nice" bucket that keeps the range within the target point count.
+function pickBucketSeconds(startIso, endIso, targetPoints = DEFAULT_GRAPH_POINTS) {
+  const spanSeconds = (new Date(endIso) - new Date(startIso)) / 1000;
+  const ideal = spanSeconds / Math.max(1, targetPoints);
+  return BUCKET_STEPS_SECONDS.find((step) => step >= ideal) || BUCKET_STEPS_SECONDS[BUCKET_STEPS_SECONDS.length - 1];
 }
 
+// API shape of a sensor_data row. Rows stored before the derived columns
+// existed get them computed here.
 function normalizeSensorData(row) {
   if (!row) return null;
+  const derived = computeDerivedMetrics(row);
+  const co2 = row.co2 ?? row.co2_ppm ?? row.aqi ?? null;
   return {
     ...row,
-    aqi: row.aqi ?? row.co2_ppm ?? null,
+    dew_point: row.dew_point ?? derived.dew_point,
+    heat_index: row.heat_index ?? derived.heat_index,
+    absolute_humidity: row.absolute_humidity ?? derived.absolute_humidity,
+    co2,
+    co2_band: getCo2Band(co2),
     uv: row.uv ?? row.uv_index ?? null,
     rain_percentage: row.rain_percentage ?? row.rain_pcnt ?? null,
     light_level: row.light_level ?? row.light_pcnt ?? null
@@ -216,32 +349,183 @@ function parseReportTimes(raw) {
 }
 
 // =====================================================
-// app_settings (single-row key='global')
+// Email recipients (per settings owner)
+// =====================================================
+
+// Accepts an array, a JSON array string or a comma/newline separated string.
+// Returns null when any entry is not a valid address.
+function parseEmailRecipients(raw) {
+  if (raw === null || raw === undefined) return [];
+  let list = raw;
+  if (typeof raw === 'string') {
+    const text = raw.trim();
+    if (text.startsWith('[')) {
+      try {
+        list = JSON.parse(text);
+      } catch {
+        return null;
+      }
+    } else {
+      list = text.split(/[\n,;]+/);
+    }
+  }
+  if (!Array.isArray(list)) return null;
+
+  const emails = [...new Set(list.map((e) => String(e || '').trim().toLowerCase()).filter(Boolean))];
+  if (emails.length > MAX_EMAIL_RECIPIENTS || !emails.every(isValidEmail)) return null;
+  return emails;
+}
+
+// Weekly / monthly report opt-in, e.g. ['weekly', 'monthly']; null when any entry is unknown.
+function parsePeriodReports(raw) {
+  if (raw === null || raw === undefined) return [];
+  let list = raw;
+  if (typeof raw === 'string') {
+    try {
+      list = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(list)) return null;
+
+  const periods = [...new Set(list.map((p) => String(p || '').trim().toLowerCase()).filter(Boolean))];
+  return periods.every((p) => PERIOD_REPORT_TYPES.includes(p)) ? periods : null;
+}
+
+// =====================================================
+// Quiet hours (alert suppression window, independent of report times)
+// =====================================================
+
+function parseQuietDays(raw) {
+  let days = raw;
+  if (typeof raw === 'string') {
+    try {
+      days = JSON.parse(raw);
+    } catch {
+      days = null;
+    }
+  }
+  if (!Array.isArray(days)) return null;
+  // Check entries before coercing: Number(null) and Number('') are both 0.
+  const isDay = (d) => (typeof d === 'number' || (typeof d === 'string' && /^\s*\d+\s*$/.test(d)))
+    && Number.isInteger(Number(d)) && Number(d) >= 0 && Number(d) <= 6;
+  if (!days.every(isDay)) return null;
+  return [...new Set(days.map(Number))].sort((a, b) => a - b);
+}
+
+function quietHoursFromRow(row) {
+  const start = normalizeTimes([row?.quiet_hours_start])[0];
+  const end = normalizeTimes([row?.quiet_hours_end])[0];
+  return {
+    enabled: !!row?.quiet_hours_enabled,
+    start: start || DEFAULT_QUIET_HOURS.start,
+    end: end || DEFAULT_QUIET_HOURS.end,
+    days: parseQuietDays(row?.quiet_hours_days) || [...DEFAULT_QUIET_HOURS.days],
+    timezone: row?.quiet_hours_timezone || row?.timezone || DEFAULT_TIMEZONE
+  };
+}
+
+// Validates a quiet_hours payload and merges it over the current values.
+function parseQuietHoursPayload(input, current) {
+  if (input === undefined) return current;
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw makeHttpError(400, 'quiet_hours must be an object');
+  }
+
+  const next = { ...current };
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') throw makeHttpError(400, 'quiet_hours.enabled must be a boolean');
+    next.enabled = input.enabled;
+  }
+  for (const field of ['start', 'end']) {
+    if (input[field] === undefined) continue;
+    const time = normalizeTimes([input[field]])[0];
+    if (!time) throw makeHttpError(400, `quiet_hours.${field} must be HH:MM`);
+    next[field] = time;
+  }
+  if (input.days !== undefined) {
+    const days = parseQuietDays(input.days);
+    if (!days || days.length === 0) throw makeHttpError(400, 'quiet_hours.days must list weekdays 0 (Sun) to 6 (Sat)');
+    next.days = days;
+  }
+  if (input.timezone !== undefined) {
+    const timezone = String(input.timezone || '').trim();
+    if (!timezone || !isValidTimezone(timezone)) throw makeHttpError(400, 'Invalid quiet_hours.timezone');
+    next.timezone = timezone;
+  }
+  return next;
+}
+
+// days lists the weekdays on which a quiet period starts; an overnight
+// window (22:00-07:00) belongs to the day it began.
+function isWithinQuietHours(quietHours, now = new Date()) {
+  if (!quietHours?.enabled) return false;
+  const nowHHMM = getCurrentHHMM(quietHours.timezone, now);
+  if (!isWithinWindow(nowHHMM, quietHours.start, quietHours.end)) return false;
+
+  const today = getCurrentWeekday(quietHours.timezone, now);
+  const overnight = hhmmToMinutes(quietHours.start) > hhmmToMinutes(quietHours.end);
+  const startedYesterday = overnight && hhmmToMinutes(nowHHMM) <= hhmmToMinutes(quietHours.end);
+  const startDay = startedYesterday ? (today + 6) % 7 : today;
+  return quietHours.days.includes(startDay);
+}
+
+// =====================================================
+// app_settings (key='global' for the default user, key='user:<id>' per user)
 // =====================================================
 
-async function getOrCreateAppSettingsRow() {
+function normalizeUserId(userId) {
+  return String(userId || '').trim().slice(0, 128) || DEFAULT_USER_ID;
+}
+
+function settingsKeyForUser(userId) {
+  const owner = normalizeUserId(userId);
+  return owner === DEFAULT_USER_ID ? APP_SETTINGS_KEY : `${USER_SETTINGS_KEY_PREFIX}${owner}`;
+}
+
+async function getAppSettingsRow(userId) {
   const { data, error } = await supabase
     .from('app_settings')
     .select('*')
-    .eq('key', APP_SETTINGS_KEY)
+    .eq('key', settingsKeyForUser(userId))
     .maybeSingle();
 
   if (error) {
     console.error('[app_settings] fetch failed:', error.message);
     throw error;
   }
-  if (data) return data;
+  return data || null;
+}
+
+async function getOrCreateAppSettingsRow(userId = DEFAULT_USER_ID) {
+  const owner = normalizeUserId(userId);
+  const existing = await getAppSettingsRow(owner);
+  if (existing) return existing;
 
+  // New per-user rows start as a copy of the global configuration.
+  const base = owner === DEFAULT_USER_ID ? null : await getOrCreateAppSettingsRow(DEFAULT_USER_ID);
   const insertPayload = {
-    key: APP_SETTINGS_KEY,
-    threshold_aqi: 450,
-    threshold_uv: 7.0,
-    threshold_bmp_temp: 28.0,
-    threshold_pressure: 990,
-    threshold_rain_percentage: 70,
-    report_times: DEFAULT_REPORT_TIMES,
-    alert_rate: DEFAULT_ALERT_RATE,
-    timezone: DEFAULT_TIMEZONE,
+    key: settingsKeyForUser(owner),
+    threshold_aqi: base?.threshold_aqi ?? 450,
+    threshold_uv: base?.threshold_uv ?? 7.0,
+    threshold_bmp_temp: base?.threshold_bmp_temp ?? 28.0,
+    threshold_pressure: base?.threshold_pressure ?? 990,
+    threshold_rain_percentage: base?.threshold_rain_percentage ?? 70,
+    report_times: base ? parseReportTimes(base.report_times) : DEFAULT_REPORT_TIMES,
+    alert_rate: base?.alert_rate || DEFAULT_ALERT_RATE,
+    alert_cooldown_per_device: !!base?.alert_cooldown_per_device,
+    email_recipients: parseEmailRecipients(base?.email_recipients) || [],
+    period_reports: parsePeriodReports(base?.period_reports) || [],
+    anomaly_sensitivity: base ? parseAnomalySensitivity(base.anomaly_sensitivity) : {},
+    rate_rules: parseRateRules(base?.rate_rules),
+    temp_divergence_tolerance: base ? parseDivergenceTolerance(base.temp_divergence_tolerance) : DEFAULT_TEMP_DIVERGENCE_TOLERANCE,
+    quiet_hours_enabled: !!base?.quiet_hours_enabled,
+    quiet_hours_start: base?.quiet_hours_start || DEFAULT_QUIET_HOURS.start,
+    quiet_hours_end: base?.quiet_hours_end || DEFAULT_QUIET_HOURS.end,
+    quiet_hours_days: parseQuietDays(base?.quiet_hours_days) || DEFAULT_QUIET_HOURS.days,
+    quiet_hours_timezone: base?.quiet_hours_timezone || null,
+    timezone: base?.timezone || DEFAULT_TIMEZONE,
     updated_at: new Date().toISOString()
   };
 
@@ -256,9 +540,49 @@ async function getOrCreateAppSettingsRow() {
     throw insertError;
   }
 
+  invalidateAlertSettingsCache();
   return inserted || insertPayload;
 }
 
+// Users without their own row follow the global configuration.
+async function getEffectiveAppSettingsRow(userId) {
+  const owner = normalizeUserId(userId);
+  if (owner !== DEFAULT_USER_ID) {
+    const row = await getAppSettingsRow(owner);
+    if (row) return row;
+  }
+  return getOrCreateAppSettingsRow(DEFAULT_USER_ID);
+}
+
+async function listCustomSettingsUserIds() {
+  const { data, error } = await supabase
+    .from('app_settings')
+    .select('key')
+    .like('key', `${USER_SETTINGS_KEY_PREFIX}%`);
+
+  if (error) {
+    console.error('[app_settings] list users failed:', error.message);
+    throw error;
+  }
+
+  return (data || [])
+    .map((row) => String(row.key).slice(USER_SETTINGS_KEY_PREFIX.length))
+    .filter(Boolean);
+}
+
+// Owner whose thresholds, schedules and notification feed apply to this user.
+async function resolveSettingsOwner(userId) {
+  const owner = normalizeUserId(userId);
+  if (owner === DEFAULT_USER_ID) return DEFAULT_USER_ID;
+  const row = await getAppSettingsRow(owner);
+  return row ? owner : DEFAULT_USER_ID;
+}
+
+async function listSettingsOwners() {
+  const custom = await listCustomSettingsUserIds();
+  return [DEFAULT_USER_ID, ...custom.filter((id) => id !== DEFAULT_USER_ID)];
+}
+
 function getVapidConfigFromEnv() {
   const publicKey = String(process.env.VAPID_PUBLIC_KEY || '').trim();
   const privateKey = String(process.env.VAPID_PRIVATE_KEY || '').trim();
@@ -331,34 +655,38 @@ async function deactivatePushSubscription(endpoint) {
   return true;
 }
 
-async function getActivePushSubscriptions() {
-  const { data, error } = await supabase
+async function getActivePushSubscriptions(ownerId = DEFAULT_USER_ID) {
+  const owner = normalizeUserId(ownerId);
+  let query = supabase
     .from('push_subscriptions')
-    .select('id, endpoint, p256dh, auth, is_active')
+    .select('id, user_id, endpoint, p256dh, auth, is_active')
     .eq('is_active', true);
 
+  if (owner !== DEFAULT_USER_ID) query = query.eq('user_id', owner);
+
+  const { data, error } = await query;
+
   if (error) {
     if (isMissingTableError(error, 'push_subscriptions')) return [];
     console.warn('[web-push] fetch active subscriptions failed:', error.message);
     return [];
   }
 
-  return (data || []).filter((s) => s.endpoint && s.p256dh && s.auth);
-}
-
-async function sendWebPushNotification({ title, message, type = 'info', url = '/' }) {
-  const vapidConfig = getVapidConfigFromEnv();
-  if (!vapidConfig) {
-    console.warn('[web-push] VAPID keys missing; skipping push send');
-    return { sent: 0, failed: 0 };
+  let rows = (data || []).filter((s) => s.endpoint && s.p256dh && s.auth);
+  if (owner === DEFAULT_USER_ID) {
+    // Global notifications reach every browser whose user has no settings of their own.
+    try {
+      const customUsers = new Set(await listCustomSettingsUserIds());
+      rows = rows.filter((s) => !customUsers.has(normalizeUserId(s.user_id)));
+    } catch (err) {
+      console.warn('[web-push] custom user lookup failed; sending to all:', err.message);
+    }
   }
+  return rows;
+}
 
-  if (!configureWebPush(vapidConfig)) return { sent: 0, failed: 0 };
-
-  const subscriptions = await getActivePushSubscriptions();
-  if (subscriptions.length === 0) return { sent: 0, failed: 0 };
-
-  const payload = JSON.stringify({
+function buildWebPushPayload({ title, message, type, url = '/' }) {
+  return JSON.stringify({
     title,
     body: message,
     icon: '/favicon.ico',
@@ -366,44 +694,58 @@ async function sendWebPushNotification({ title, message, type = 'info', url = '/
     type,
     url
   });
+}
 
-  let sent = 0;
-  let failed = 0;
+// Returns { ok, error, permanent }; 404/410 mean the browser dropped the subscription.
+async function sendWebPushToSubscription(sub, payload) {
+  try {
+    await webPush.sendNotification(
+      {
+        endpoint: sub.endpoint,
+        keys: {
+          p256dh: sub.p256dh,
+          auth: sub.auth
+        }
+      },
+      payload
+    );
+    await supabase
+      .from('push_subscriptions')
+      .update({ last_success_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', sub.id);
+    return { ok: true, error: null, permanent: false };
+  } catch (err) {
+    console.warn('[web-push] send failed:', err.statusCode || '', err.message);
 
-  for (const sub of subscriptions) {
-    try {
-      await webPush.sendNotification(
-        {
-          endpoint: sub.endpoint,
-          keys: {
-            p256dh: sub.p256dh,
-            auth: sub.auth
-          }
-        },
-        payload
-      );
-      sent += 1;
-      await supabase
-        .from('push_subscriptions')
-        .update({ last_success_at: new Date().toISOString(), updated_at: new Date().toISOString() })
-        .eq('id', sub.id);
-    } catch (err) {
-      failed += 1;
-      console.warn('[web-push] send failed:', err.statusCode || '', err.message);
-
-      const status = Number(err?.statusCode);
-      if (status === 404 || status === 410) {
-        await deactivatePushSubscription(sub.endpoint);
-      } else {
-        await supabase
-          .from('push_subscriptions')
-          .update({ last_error: String(err.message || 'send failed').slice(0, 500), updated_at: new Date().toISOString() })
-          .eq('id', sub.id);
-      }
+    const status = Number(err?.statusCode);
+    if (status === 404 || status === 410) {
+      await deactivatePushSubscription(sub.endpoint);
+      return { ok: false, error: `subscription gone (${status})`, permanent: true };
     }
+    await supabase
+      .from('push_subscriptions')
+      .update({ last_error: String(err.message || 'send failed').slice(0, 500), updated_at: new Date().toISOString() })
+      .eq('id', sub.id);
+    return { ok: false, error: err.message || 'send failed', permanent: false };
+  }
+}
+
+// Single-recipient send used by the notification outbox.
+async function sendPushToEndpoint(endpoint, { title, message, type, url }) {
+  const vapidConfig = getVapidConfigFromEnv();
+  if (!vapidConfig || !configureWebPush(vapidConfig)) {
+    return { ok: false, error: 'vapid-not-configured', permanent: false };
   }
 
-  return { sent, failed };
+  const { data: sub, error } = await supabase
+    .from('push_subscriptions')
+    .select('id, endpoint, p256dh, auth, is_active')
+    .eq('endpoint', endpoint)
+    .maybeSingle();
+
+  if (error) return { ok: false, error: error.message, permanent: false };
+  if (!sub || !sub.is_active) return { ok: false, error: 'subscription-inactive', permanent: true };
+  return sendWebPushToSubscription(sub, buildWebPushPayload({ title, message, type, url }));
 }
 
 // =====================================================
@@ -413,7 +755,8 @@ async function sendWebPushNotification({ title, message, type = 'info', url = '/
 async function ensureDefaultThresholds() {
   const { data, error } = await supabase
     .from('alert_thresholds')
-    .select('metric');
+    .select('metric')
+    .eq('user_id', DEFAULT_USER_ID);
 
   if (error) {
     if (isMissingTableError(error, 'alert_thresholds')) {
@@ -424,15 +767,15 @@ async function ensureDefaultThresholds() {
     throw error;
   }
 
-  const existing = new Set((data || []).map((d) => d.metric));
+  const existing = new Set((data || []).map((d) => resolveMetricName(d.metric)));
   const missing = DEFAULT_THRESHOLD_ROWS.filter((row) => !existing.has(row.metric));
   if (missing.length === 0) return;
 
   const { error: insertError } = await supabase
     .from('alert_thresholds')
     .upsert(
-      missing.map((row) => ({ ...row, updated_at: new Date().toISOString() })),
-      { onConflict: 'metric' }
+      missing.map((row) => ({ ...row, user_id: DEFAULT_USER_ID, updated_at: new Date().toISOString() })),
+      { onConflict: 'user_id,metric' }
     );
 
   if (insertError) {
@@ -441,17 +784,27 @@ async function ensureDefaultThresholds() {
   }
 }
 
-async function getThresholdRows() {
-  await ensureDefaultThresholds();
-  const { data, error } = await supabase
+function selectThresholdRows(ownerId) {
+  return supabase
     .from('alert_thresholds')
-    .select('metric, threshold_value, alert_if_above, updated_at');
+    .select('*')
+    .eq('user_id', ownerId);
+}
+
+async function getThresholdRows(userId = DEFAULT_USER_ID) {
+  const owner = normalizeUserId(userId);
+  await ensureDefaultThresholds();
+
+  let { data, error } = await selectThresholdRows(owner);
+  if (!error && owner !== DEFAULT_USER_ID && (data || []).length === 0) {
+    ({ data, error } = await selectThresholdRows(DEFAULT_USER_ID));
+  }
 
   if (error) {
     if (isMissingTableError(error, 'alert_thresholds')) {
-      const app = await getOrCreateAppSettingsRow();
+      const app = await getEffectiveAppSettingsRow(owner);
       return [
-        { metric: 'aqi', threshold_value: app.threshold_aqi, alert_if_above: true, updated_at: app.updated_at },
+        { metric: 'co2', threshold_value: app.threshold_aqi, alert_if_above: true, updated_at: app.updated_at },
         { metric: 'uv', threshold_value: app.threshold_uv, alert_if_above: true, updated_at: app.updated_at },
         { metric: 'bmp_temp', threshold_value: app.threshold_bmp_temp, alert_if_above: true, updated_at: app.updated_at },
         { metric: 'pressure', threshold_value: app.threshold_pressure, alert_if_above: false, updated_at: app.updated_at },
@@ -462,19 +815,147 @@ async function getThresholdRows() {
     throw error;
   }
 
-  return data || [];
+  return (data || []).map((row) => ({ ...row, metric: resolveMetricName(row.metric) }));
+}
+
+function resolveAlertTuning(row) {
+  const defaults = DEFAULT_ALERT_TUNING[row?.metric] || {};
+  const tuning = {};
+  for (const [field, parse] of Object.entries(THRESHOLD_TUNING_FIELDS)) {
+    const stored = row?.[field] === null || row?.[field] === undefined ? undefined : parse(row[field]);
+    tuning[field] = stored ?? defaults[field] ?? null;
+  }
+  return tuning;
+}
+
+// payload.tuning = { <metric>: { hysteresis, min_duration_seconds, ... } }
+function parseTuningPayload(rawTuning) {
+  if (rawTuning === undefined || rawTuning === null) return {};
+  if (typeof rawTuning !== 'object' || Array.isArray(rawTuning)) {
+    throw makeHttpError(400, 'tuning must be an object keyed by metric');
+  }
+
+  const parsed = {};
+  for (const [key, fields] of Object.entries(rawTuning)) {
+    const metric = resolveMetricName(key);
+    if (!DEFAULT_ALERT_TUNING[metric]) throw makeHttpError(400, `Unsupported tuning metric: ${metric}`);
+    if (!fields || typeof fields !== 'object') continue;
+
+    parsed[metric] = {};
+    for (const [field, value] of Object.entries(fields)) {
+      const parse = THRESHOLD_TUNING_FIELDS[field];
+      if (!parse) throw makeHttpError(400, `Unsupported tuning field: ${field}`);
+      const clean = parse(value);
+      if (clean === undefined) throw makeHttpError(400, `Invalid ${field} for ${metric}`);
+      parsed[metric][field] = clean;
+    }
+  }
+  return parsed;
+}
+
+// =====================================================
+// Rate-of-change rules (app_settings.rate_rules, per settings owner)
+// e.g. { metric: 'pressure', direction: 'fall', delta: 3, window_minutes: 180 }
+// =====================================================
+
+const RATE_RULE_DIRECTIONS = ['rise', 'fall'];
+const MAX_RATE_RULES = 20;
+const MAX_RATE_WINDOW_MINUTES = 24 * 60;
+
+// Rules are identified by their content; the id also keys their alert_states row.
+function normalizeRateRule(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const metric = resolveMetricName(raw.metric);
+  const direction = String(raw.direction || '').trim().toLowerCase();
+  const delta = safeNumber(raw.delta);
+  const windowMinutes = safeNumber(raw.window_minutes);
+
+  if (!METRIC_COLUMN_MAP[metric] || !RATE_RULE_DIRECTIONS.includes(direction)) return null;
+  if (!Number.isFinite(delta) || delta <= 0) return null;
+  if (!Number.isInteger(windowMinutes) || windowMinutes < 1 || windowMinutes > MAX_RATE_WINDOW_MINUTES) return null;
+
+  return {
+    id: `${metric}_${direction}_${delta}_${windowMinutes}m`,
+    metric,
+    direction,
+    delta,
+    window_minutes: windowMinutes
+  };
+}
+
+function uniqueRateRules(rules) {
+  const byId = new Map();
+  for (const rule of rules) byId.set(rule.id, rule);
+  return [...byId.values()];
+}
+
+// Stored shape -> rules; invalid entries are dropped.
+function parseRateRules(raw) {
+  let list = raw;
+  if (typeof raw === 'string') {
+    try {
+      list = JSON.parse(raw);
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return uniqueRateRules(list.map(normalizeRateRule).filter(Boolean));
+}
+
+// Full replacement list from the thresholds API; throws 400 on the first invalid rule.
+function parseRateRulesPayload(input) {
+  if (!Array.isArray(input)) {
+    throw makeHttpError(400, 'rate_rules must be a list of { metric, direction, delta, window_minutes }');
+  }
+  if (input.length > MAX_RATE_RULES) {
+    throw makeHttpError(400, `rate_rules supports at most ${MAX_RATE_RULES} rules`);
+  }
+
+  const rules = input.map((raw, i) => {
+    const rule = normalizeRateRule(raw);
+    if (!rule) {
+      throw makeHttpError(
+        400,
+        `rate_rules[${i}] is invalid: metric must be one of ${Object.keys(METRIC_COLUMN_MAP).join(', ')}, ` +
+          `direction rise or fall, delta > 0, window_minutes 1-${MAX_RATE_WINDOW_MINUTES}`
+      );
+    }
+    return rule;
+  });
+  return uniqueRateRules(rules);
+}
+
+// bmp_temp vs dht_temp disagreement (C) that raises a divergence alert; 0 turns the check off.
+const DEFAULT_TEMP_DIVERGENCE_TOLERANCE = 2;
+
+function parseDivergenceTolerance(raw) {
+  if (raw === null || raw === undefined || raw === '') return DEFAULT_TEMP_DIVERGENCE_TOLERANCE;
+  const n = safeNumber(raw);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_TEMP_DIVERGENCE_TOLERANCE;
 }
 
 function thresholdRowsToUiShape(rows) {
   const byMetric = {};
   for (const row of rows) byMetric[row.metric] = row;
 
+  const tuning = {};
+  for (const metric of Object.keys(DEFAULT_ALERT_TUNING)) {
+    tuning[metric] = resolveAlertTuning(byMetric[metric] || { metric });
+  }
+
   return {
-    aqi: safeNumber(byMetric.aqi?.threshold_value, 450),
+    co2: safeNumber(byMetric.co2?.threshold_value, 450),
     uv: safeNumber(byMetric.uv?.threshold_value, 7),
     bmp_temp: safeNumber(byMetric.bmp_temp?.threshold_value, 28),
     pressure: safeNumber(byMetric.pressure?.threshold_value, 990),
-    rain_percentage: safeNumber(byMetric.rain_percentage?.threshold_value, 70)
+    rain_percentage: safeNumber(byMetric.rain_percentage?.threshold_value, 70),
+    ...Object.fromEntries(DERIVED_METRICS.map((metric) => [metric, safeNumber(byMetric[metric]?.threshold_value)])),
+    alert_if_above: Object.fromEntries(Object.keys(DEFAULT_ALERT_TUNING).map((metric) => {
+      const stored = byMetric[metric] || DEFAULT_THRESHOLD_ROWS.find((row) => row.metric === metric);
+      return [metric, stored ? !!stored.alert_if_above : true];
+    })),
+    tuning
   };
 }
 
@@ -482,25 +963,129 @@ function thresholdRowsToUiShape(rows) {
 // sensor_data
 // =====================================================
 
+// Columns added by later migrations (calibration, derived metrics). An insert
+// naming a column the table lacks can never succeed, so columns found missing
+// are left out of every insert instead of holding readings in the ingest queue.
+const MIGRATED_SENSOR_COLUMNS = ['raw_values', ...DERIVED_METRICS.map((metric) => METRIC_COLUMN_MAP[metric])];
+const missingSensorColumns = new Set();
+
+// Column name from a PostgREST "Could not find the 'x' column" or Postgres
+// "column sensor_data.x does not exist" message; null when it names none.
+function parseMissingColumn(error) {
+  const msg = String(error?.message || '');
+  const match = /'([a-z0-9_]+)' column/i.exec(msg) || /column (?:[a-z0-9_]+\.)?"?([a-z0-9_]+)"? does not exist/i.exec(msg);
+  return match ? match[1] : null;
+}
+
+function omitMissingSensorColumns(row) {
+  if (missingSensorColumns.size === 0) return row;
+  const out = { ...row };
+  for (const column of missingSensorColumns) delete out[column];
+  return out;
+}
+
+// Run once at startup so a missing migration shows up as one clear error.
+// Returns true when every migrated column is present.
+async function checkSensorDataSchema() {
+  const { error } = await supabase
+    .from('sensor_data')
+    .select(MIGRATED_SENSOR_COLUMNS.join(','))
+    .limit(1);
+
+  if (!error) return true;
+  if (!isMissingColumnError(error)) {
+    console.error('[sensor] schema check failed:', error.message);
+    return false;
+  }
+
+  // One query only names the first missing column, so probe each of them.
+  for (const column of MIGRATED_SENSOR_COLUMNS) {
+    const { error: columnErr } = await supabase.from('sensor_data').select(column).limit(1);
+    if (isMissingColumnError(columnErr)) missingSensorColumns.add(column);
+  }
+  console.error(
+    `[sensor] sensor_data is missing columns: ${[...missingSensorColumns].join(', ')}. ` +
+    'Readings are stored without them; run supabase/migrations/20261019_calibration.sql and ' +
+    '20261019_derived_metrics.sql, then restart.'
+  );
+  return false;
+}
+
+const DERIVED_BACKFILL_BATCH = 5000;
+const DERIVED_BACKFILL_PAUSE_MS = 2000;
+
+// Fills the derived columns of rows stored before the derived_metrics
+// migration, one batch per call with a pause in between. Safe on every start.
+async function backfillDerivedMetrics() {
+  let total = 0;
+  for (;;) {
+    const { data, error } = await supabase.rpc('backfill_derived_metrics', { p_limit: DERIVED_BACKFILL_BATCH });
+    if (error) {
+      if (!isMissingFunctionError(error, 'backfill_derived_metrics')) {
+        console.warn('[sensor] derived metrics backfill failed:', error.message);
+      }
+      break;
+    }
+    const updated = Number(data) || 0;
+    total += updated;
+    if (updated < DERIVED_BACKFILL_BATCH) break;
+    await new Promise((resolve) => setTimeout(resolve, DERIVED_BACKFILL_PAUSE_MS));
+  }
+  if (total > 0) console.log(`[sensor] derived metrics backfilled on ${total} rows`);
+  return total;
+}
+
+// Rejections the database repeats for the same rows (invalid value, failed
+// constraint, a column the table does not have). Migrated columns are already
+// left out by insertSensorData, so any missing column left is permanent too.
+// Network, 5xx, auth and a missing table can pass on a retry.
+function isPermanentInsertError(error, status) {
+  if (isMissingColumnError(error)) return true;
+  if (isMissingTableError(error, 'sensor_data')) return false;
+  if (/^2[23]/.test(String(error?.code || ''))) return true;
+  return [400, 409, 422].includes(Number(status));
+}
+
+// Accepts one row or an array of rows (batched replay from the ingest queue).
+// Returns { ok, error, permanent }.
 async function insertSensorData(data) {
   try {
-    const { error } = await supabase.from('sensor_data').insert([data]);
+    const rows = Array.isArray(data) ? data : [data];
+    let { error, status } = await supabase.from('sensor_data').insert(rows.map(omitMissingSensorColumns));
+
+    // A migrated column the startup check did not catch: stop writing it and try
+    // again rather than queueing a write that cannot land. Each pass drops one
+    // more column, so this ends within MIGRATED_SENSOR_COLUMNS.length retries.
+    for (;;) {
+      const missingColumn = isMissingColumnError(error) ? parseMissingColumn(error) : null;
+      if (!MIGRATED_SENSOR_COLUMNS.includes(missingColumn) || missingSensorColumns.has(missingColumn)) break;
+      missingSensorColumns.add(missingColumn);
+      console.error(`[sensor] sensor_data has no ${missingColumn} column; storing readings without it`);
+      ({ error, status } = await supabase.from('sensor_data').insert(rows.map(omitMissingSensorColumns)));
+    }
+
     if (error) {
       console.error('[sensor] insert failed:', error.message);
-      return false;
+      return { ok: false, error: error.message, permanent: isPermanentInsertError(error, status) };
     }
-    return true;
+    return { ok: true, error: null, permanent: false };
   } catch (err) {
     console.error('[sensor] insert exception:', err.message);
-    return false;
+    return { ok: false, error: err.message, permanent: false };
   }
 }
 
-async function getLatestSensorData() {
+async function getLatestSensorData({ deviceId } = {}) {
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from('sensor_data')
-      .select('*')
+      .select('*');
+
+    const device = normalizeDeviceId(deviceId);
+    if (deviceId && !device) return null;
+    if (device) query = query.eq('device_id', device);
+
+    const { data, error } = await query
       .order('created_at', { ascending: false })
       .limit(1)
       .maybeSingle();
@@ -516,83 +1101,654 @@ async function getLatestSensorData() {
   }
 }
 
-async function getGraphData({ metric, range }) {
-  const requestedMetric = String(metric || 'bmp_temp').trim();
-  const column = METRIC_COLUMN_MAP[requestedMetric];
-  if (!column) throw makeHttpError(400, `Unsupported metric: ${requestedMetric}`);
-
-  const { startIso, endIso, limit } = resolveRangeWindow(range);
-  const { data, error } = await supabase
-    .from('sensor_data')
-    .select(`created_at, ${column}`)
-    .gte('created_at', startIso)
-    .lte('created_at', endIso)
-    .order('created_at', { ascending: true })
-    .limit(limit);
+const SENSOR_PAGE_SIZE = 1000;
+const MAX_FALLBACK_ROWS = 200000;
 
-  if (error) {
-    console.error('[graph] query failed:', error.message);
-    throw error;
-  }
+// Pages through sensor_data in (created_at, id) order (PostgREST caps each
+// response). Keyset pagination: created_at is not unique, so offsets would skip
+// or repeat rows that share a timestamp across a page boundary or arrive mid-export.
+async function* iterateSensorDataPages({ select, startIso, endIso, device, maxRows = Infinity }) {
+  const columns = select.split(',').map((c) => c.trim());
+  const selectWithKey = columns.includes('id') ? select : `id, ${select}`;
+  let cursor = null;
+  let fetched = 0;
 
-  return (data || [])
-    .map((row) => ({ created_at: row.created_at, value: safeNumber(row[column]) }))
-    .filter((row) => row.created_at && Number.isFinite(row.value));
-}
+  while (fetched < maxRows) {
+    let query = supabase
+      .from('sensor_data')
+      .select(selectWithKey)
+      .gte('created_at', startIso)
+      .lte('created_at', endIso);
 
-// =====================================================
-// notifications
-// =====================================================
+    if (device) query = query.eq('device_id', device);
+    if (cursor) {
+      query = query.or(`created_at.gt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.gt.${cursor.id})`);
+    }
 
-async function insertWebNotification(title, message, type = 'info') {
-  try {
-    const { error } = await supabase
-      .from('notifications')
-      .insert([{ title, message, type, is_read: false }]);
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(Math.min(SENSOR_PAGE_SIZE, maxRows - fetched));
 
     if (error) {
-      console.error('[notifications] insert failed:', error.message);
-      return false;
+      console.error('[sensor] page query failed:', error.message);
+      throw error;
     }
-    await sendWebPushNotification({
-      title: title || 'CampusSense Alert',
-      message: message || 'New update available',
-      type
-    });
-    return true;
-  } catch (err) {
-    console.error('[notifications] insert exception:', err.message);
-    return false;
+    if (!data || data.length === 0) return;
+
+    fetched += data.length;
+    yield data;
+    if (data.length < SENSOR_PAGE_SIZE) return;
+    const last = data[data.length - 1];
+    cursor = { createdAt: last.created_at, id: last.id };
   }
 }
 
-async function getWebNotifications(limit = 20) {
-  const safeLimit = Math.max(1, Math.min(200, Number(limit) || 20));
-  try {
-    const { data, error } = await supabase
-      .from('notifications')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(safeLimit);
-
+async function fetchColumnRows({ column, startIso, endIso, device }) {
+  const rows = [];
+  const pages = iterateSensorDataPages({
+    select: `created_at, ${column}`,
+    startIso,
+    endIso,
+    device,
+    maxRows: MAX_FALLBACK_ROWS
+  });
+  for await (const page of pages) rows.push(...page);
+  return rows;
+}
+
+function bucketRowsInMemory(rows, column, bucketSeconds) {
+  const bucketMs = bucketSeconds * 1000;
+  const buckets = new Map();
+
+  for (const row of rows) {
+    const value = safeNumber(row[column]);
+    const ts = new Date(row.created_at).getTime();
+    if (!Number.isFinite(value) || !Number.isFinite(ts)) continue;
+
+    const key = Math.floor(ts / bucketMs) * bucketMs;
+    const bucket = buckets.get(key);
+    if (!bucket) {
+      buckets.set(key, { min: value, max: value, sum: value, count: 1 });
+    } else {
+      bucket.min = Math.min(bucket.min, value);
+      bucket.max = Math.max(bucket.max, value);
+      bucket.sum += value;
+      bucket.count += 1;
+    }
+  }
+
+  return [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([key, b]) => ({
+      bucket_start: new Date(key).toISOString(),
+      min_value: b.min,
+      avg_value: b.sum / b.count,
+      max_value: b.max,
+      sample_count: b.count
+    }));
+}
+
+// min/avg/max per time bucket; aggregated in Postgres when the
+// sensor_data_buckets function is installed, otherwise in memory.
+// The RPC result is paged like sensor_data, since PostgREST caps it at max-rows too.
+async function fetchMetricBuckets({ column, startIso, endIso, bucketSeconds, device }) {
+  const buckets = [];
+  for (let offset = 0; ; offset += SENSOR_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .rpc('sensor_data_buckets', {
+        p_column: column,
+        p_from: startIso,
+        p_to: endIso,
+        p_bucket_seconds: bucketSeconds,
+        p_device_id: device || null
+      })
+      .range(offset, offset + SENSOR_PAGE_SIZE - 1);
+
+    if (error) {
+      if (!isMissingFunctionError(error, 'sensor_data_buckets')) {
+        console.error('[graph] bucket query failed:', error.message);
+        throw error;
+      }
+      const rows = await fetchColumnRows({ column, startIso, endIso, device });
+      return bucketRowsInMemory(rows, column, bucketSeconds);
+    }
+
+    buckets.push(...(data || []));
+    if (!data || data.length < SENSOR_PAGE_SIZE) return buckets;
+  }
+}
+
+async function getGraphData({ metric, range, from, to, bucket, points, deviceId, userId }) {
+  const requestedMetric = resolveMetricName(metric || 'bmp_temp');
+  const column = METRIC_COLUMN_MAP[requestedMetric];
+  if (!column) throw makeHttpError(400, `Unsupported metric: ${requestedMetric}`);
+
+  const device = normalizeDeviceId(deviceId);
+  if (deviceId && !device) throw makeHttpError(400, `Invalid device_id: ${deviceId}`);
+
+  const { startIso, endIso } = resolveRangeWindow(range, { from, to });
+  const targetPoints = Math.max(10, Math.min(MAX_GRAPH_POINTS, Number(points) || DEFAULT_GRAPH_POINTS));
+  // An explicit bucket is widened when it would return more than MAX_GRAPH_POINTS.
+  const bucketSeconds = Math.max(
+    parseBucketSeconds(bucket) || pickBucketSeconds(startIso, endIso, targetPoints),
+    pickBucketSeconds(startIso, endIso, MAX_GRAPH_POINTS)
+  );
+
+  const buckets = await fetchMetricBuckets({ column, startIso, endIso, bucketSeconds, device });
+  const ownerId = await resolveSettingsOwner(userId);
+  const anomalies = await getAnomaliesInRange({ ownerId, metric: requestedMetric, device, startIso, endIso });
+
+  // Largest |z| per bucket; buckets are epoch-aligned like sensor_data_buckets.
+  const bucketMs = bucketSeconds * 1000;
+  const anomalyZ = new Map();
+  for (const row of anomalies) {
+    const key = Math.floor(Date.parse(row.reading_at) / bucketMs) * bucketMs;
+    const z = Math.abs(safeNumber(row.z_score, 0));
+    anomalyZ.set(key, Math.max(anomalyZ.get(key) || 0, z));
+  }
+
+  return buckets
+    .map((b) => {
+      const z = anomalyZ.get(Date.parse(b.bucket_start));
+      return {
+        created_at: b.bucket_start,
+        value: safeNumber(b.avg_value),
+        min: safeNumber(b.min_value),
+        max: safeNumber(b.max_value),
+        count: safeNumber(b.sample_count, 0),
+        anomaly: z !== undefined,
+        anomaly_z: z !== undefined ? Math.round(z * 100) / 100 : null
+      };
+    })
+    .filter((row) => row.created_at && Number.isFinite(row.value));
+}
+
+// =====================================================
+// Export (raw rows or bucket aggregates, streamed page by page)
+// =====================================================
+
+function resolveMetricList(metricsInput) {
+  const requested = String(metricsInput || '')
+    .split(',')
+    .map(resolveMetricName)
+    .filter(Boolean);
+  if (requested.length === 0) return Object.keys(METRIC_COLUMN_MAP);
+
+  const unknown = requested.filter((m) => !METRIC_COLUMN_MAP[m]);
+  if (unknown.length > 0) throw makeHttpError(400, `Unsupported metric: ${unknown.join(', ')}`);
+  return [...new Set(requested)];
+}
+
+function prepareSensorExport({ range, from, to, metrics, bucket, deviceId }) {
+  const device = normalizeDeviceId(deviceId);
+  if (deviceId && !device) throw makeHttpError(400, `Invalid device_id: ${deviceId}`);
+
+  const { startIso, endIso } = resolveRangeWindow(range, { from, to });
+  const metricList = resolveMetricList(metrics);
+  const bucketSeconds = parseBucketSeconds(bucket);
+
+  const fields = bucketSeconds
+    ? ['bucket_start', ...metricList.flatMap((m) => [`${m}_min`, `${m}_avg`, `${m}_max`])]
+    : ['created_at', 'device_id', ...metricList];
+
+  return { startIso, endIso, metrics: metricList, bucketSeconds, device, fields };
+}
+
+async function* iterateSensorExportRows(plan) {
+  const { startIso, endIso, metrics, bucketSeconds, device } = plan;
+
+  // Bucketed exports walk the window SENSOR_PAGE_SIZE buckets at a time, split on
+  // bucket boundaries, so every chunk is one RPC page per metric and is written
+  // out before the next one is read.
+  if (bucketSeconds) {
+    const bucketMs = bucketSeconds * 1000;
+    const endMs = Date.parse(endIso);
+    for (let fromMs = Date.parse(startIso); fromMs <= endMs;) {
+      const toMs = Math.min(endMs, Math.floor(fromMs / bucketMs) * bucketMs + bucketMs * SENSOR_PAGE_SIZE - 1);
+      const byBucket = new Map();
+      for (const metric of metrics) {
+        const buckets = await fetchMetricBuckets({
+          column: METRIC_COLUMN_MAP[metric],
+          startIso: new Date(fromMs).toISOString(),
+          endIso: new Date(toMs).toISOString(),
+          bucketSeconds,
+          device
+        });
+        for (const b of buckets) {
+          const key = new Date(b.bucket_start).toISOString();
+          const row = byBucket.get(key) || { bucket_start: key };
+          row[`${metric}_min`] = safeNumber(b.min_value);
+          row[`${metric}_avg`] = safeNumber(b.avg_value);
+          row[`${metric}_max`] = safeNumber(b.max_value);
+          byBucket.set(key, row);
+        }
+      }
+      if (byBucket.size > 0) yield [...byBucket.values()].sort((a, b) => a.bucket_start.localeCompare(b.bucket_start));
+      fromMs = toMs + 1;
+    }
+    return;
+  }
+
+  const columns = [...new Set(metrics.map((m) => METRIC_COLUMN_MAP[m]))];
+  const pages = iterateSensorDataPages({
+    select: ['created_at', 'device_id', ...columns].join(', '),
+    startIso,
+    endIso,
+    device
+  });
+
+  for await (const page of pages) {
+    yield page.map((row) => {
+      const out = { created_at: row.created_at, device_id: row.device_id ?? null };
+      for (const metric of metrics) out[metric] = safeNumber(row[METRIC_COLUMN_MAP[metric]]);
+      return out;
+    });
+  }
+}
+
+// =====================================================
+// Calibration profiles (applied at ingest; raw values kept in sensor_data.raw_values)
+// One profile per metric x device; device_id '*' covers every device without its own.
+// =====================================================
+
+const CALIBRATION_ANY_DEVICE = '*';
+const CALIBRATION_CACHE_MS = 60 * 1000;
+const TWO_POINT_FIELDS = ['raw_low', 'ref_low', 'raw_high', 'ref_high'];
+
+let calibrationCache = null;
+// Fallback store when the calibration_profiles table has not been migrated yet.
+const memoryCalibrationProfiles = new Map();
+
+function calibrationKey(deviceId, metric) {
+  return `${deviceId}|${metric}`;
+}
+
+function calibrationRowToApiShape(row) {
+  const twoPoint = TWO_POINT_FIELDS.every((field) => Number.isFinite(safeNumber(row[field])));
+  return {
+    device_id: row.device_id,
+    metric: row.metric,
+    offset: safeNumber(row.offset_value, 0),
+    scale: safeNumber(row.scale, 1),
+    two_point: twoPoint
+      ? Object.fromEntries(TWO_POINT_FIELDS.map((field) => [field, safeNumber(row[field])]))
+      : null,
+    description: row.description || null,
+    updated_at: row.updated_at || null
+  };
+}
+
+// Empty or '*' means the profile applies to every device.
+function parseCalibrationDevice(value) {
+  const rawDevice = String(value ?? '').trim();
+  const deviceId = !rawDevice || rawDevice === CALIBRATION_ANY_DEVICE ? CALIBRATION_ANY_DEVICE : normalizeDeviceId(rawDevice);
+  if (!deviceId) throw makeHttpError(400, `Invalid device_id: ${rawDevice}`);
+  return deviceId;
+}
+
+// payload: { metric, device_id?, offset?, scale?, two_point?: { raw_low, ref_low, raw_high, ref_high }, description? }
+function parseCalibrationPayload(payload) {
+  const metric = resolveMetricName(payload?.metric);
+  const measured = Object.keys(METRIC_COLUMN_MAP).filter((m) => !DERIVED_METRICS.includes(m));
+  if (!measured.includes(metric)) {
+    throw makeHttpError(400, `metric must be one of: ${measured.join(', ')}`);
+  }
+
+  const deviceId = parseCalibrationDevice(payload?.device_id);
+
+  const offset = payload?.offset === undefined ? 0 : safeNumber(payload.offset);
+  const scale = payload?.scale === undefined ? 1 : safeNumber(payload.scale);
+  if (!Number.isFinite(offset)) throw makeHttpError(400, 'offset must be a number');
+  if (!Number.isFinite(scale) || scale === 0) throw makeHttpError(400, 'scale must be a non-zero number');
+
+  const row = {
+    device_id: deviceId,
+    metric,
+    offset_value: offset,
+    scale,
+    raw_low: null,
+    ref_low: null,
+    raw_high: null,
+    ref_high: null,
+    description: String(payload?.description || '').trim().slice(0, 200) || null,
+    updated_at: new Date().toISOString()
+  };
+
+  if (payload?.two_point !== undefined && payload.two_point !== null) {
+    for (const field of TWO_POINT_FIELDS) {
+      const value = safeNumber(payload.two_point?.[field]);
+      if (!Number.isFinite(value)) throw makeHttpError(400, `two_point.${field} must be a number`);
+      row[field] = value;
+    }
+    if (row.raw_low === row.raw_high) throw makeHttpError(400, 'two_point.raw_low and raw_high must differ');
+  }
+  return row;
+}
+
+// Two-point maps the raw readings onto the reference line; otherwise value * scale + offset.
+function calibrateValue(value, profile) {
+  const calibrated = Number.isFinite(safeNumber(profile.raw_low))
+    ? profile.ref_low + ((value - profile.raw_low) * (profile.ref_high - profile.ref_low)) / (profile.raw_high - profile.raw_low)
+    : value * safeNumber(profile.scale, 1) + safeNumber(profile.offset_value, 0);
+  return Math.round(calibrated * 1000) / 1000;
+}
+
+async function fetchCalibrationRows() {
+  const { data, error } = await supabase.from('calibration_profiles').select('*');
+  if (!error) return data || [];
+  if (!isMissingTableError(error, 'calibration_profiles')) {
+    console.error('[calibration] fetch failed:', error.message);
+    throw error;
+  }
+  return [...memoryCalibrationProfiles.values()];
+}
+
+async function getCalibrationProfiles() {
+  const rows = await fetchCalibrationRows();
+  return rows
+    .map(calibrationRowToApiShape)
+    .sort((a, b) => a.metric.localeCompare(b.metric) || a.device_id.localeCompare(b.device_id));
+}
+
+async function saveCalibrationProfile(payload) {
+  const row = parseCalibrationPayload(payload);
+  const { data, error } = await supabase
+    .from('calibration_profiles')
+    .upsert([row], { onConflict: 'device_id,metric' })
+    .select('*')
+    .maybeSingle();
+
+  calibrationCache = null;
+  if (!error) return calibrationRowToApiShape(data || row);
+  if (!isMissingTableError(error, 'calibration_profiles')) {
+    console.error('[calibration] save failed:', error.message);
+    throw error;
+  }
+  memoryCalibrationProfiles.set(calibrationKey(row.device_id, row.metric), row);
+  return calibrationRowToApiShape(row);
+}
+
+async function deleteCalibrationProfile(metricInput, deviceId) {
+  const metric = resolveMetricName(metricInput);
+  const device = parseCalibrationDevice(deviceId);
+  const { data, error } = await supabase
+    .from('calibration_profiles')
+    .delete()
+    .eq('device_id', device)
+    .eq('metric', metric)
+    .select('metric');
+
+  calibrationCache = null;
+  if (error) {
+    if (!isMissingTableError(error, 'calibration_profiles')) {
+      console.error('[calibration] delete failed:', error.message);
+      throw error;
+    }
+    if (!memoryCalibrationProfiles.delete(calibrationKey(device, metric))) {
+      throw makeHttpError(404, 'Calibration profile not found');
+    }
+    return;
+  }
+  if ((data || []).length === 0) throw makeHttpError(404, 'Calibration profile not found');
+}
+
+async function loadCalibrationIndex() {
+  if (calibrationCache && Date.now() - calibrationCache.at < CALIBRATION_CACHE_MS) return calibrationCache.index;
+  const index = new Map();
+  for (const row of await fetchCalibrationRows()) index.set(calibrationKey(row.device_id, row.metric), row);
+  calibrationCache = { at: Date.now(), index };
+  return index;
+}
+
+// Calibrates a validated MQTT reading (sensor_data columns). The original value
+// of every corrected column is kept in raw_values.
+async function applyCalibration(data) {
+  let index;
+  try {
+    index = await loadCalibrationIndex();
+  } catch (err) {
+    console.warn('[calibration] profiles unavailable; storing raw values:', err.message);
+    return data;
+  }
+  if (index.size === 0) return data;
+
+  const deviceId = normalizeDeviceId(data.device_id) || DEFAULT_DEVICE_ID;
+  const calibrated = { ...data };
+  const rawValues = {};
+  for (const [metric, column] of Object.entries(METRIC_COLUMN_MAP)) {
+    const value = safeNumber(data[column]);
+    if (DERIVED_METRICS.includes(metric) || !Number.isFinite(value)) continue;
+    const profile = index.get(calibrationKey(deviceId, metric)) || index.get(calibrationKey(CALIBRATION_ANY_DEVICE, metric));
+    if (!profile) continue;
+    calibrated[column] = calibrateValue(value, profile);
+    rawValues[column] = value;
+  }
+
+  if (Object.keys(rawValues).length > 0) calibrated.raw_values = rawValues;
+  return calibrated;
+}
+
+// =====================================================
+// devices (one row per MQTT node, refreshed on ingest)
+// =====================================================
+
+// Call once the reading is stored; seenAt is its created_at (replayed readings arrive late).
+async function recordDeviceSeen(deviceId, { topic, seenAt } = {}) {
+  const device = normalizeDeviceId(deviceId);
+  if (!device) return false;
+
+  const row = { device_id: device, last_seen_at: seenAt || new Date().toISOString() };
+  if (topic !== undefined) row.last_topic = topic || null;
+  const { error } = await supabase
+    .from('devices')
+    .upsert([row], { onConflict: 'device_id' });
+
+  if (error) {
+    if (isMissingTableError(error, 'devices')) return false;
+    console.warn('[devices] last-seen update failed:', error.message);
+    return false;
+  }
+  return true;
+}
+
+async function getDevices() {
+  const { data, error } = await supabase
+    .from('devices')
+    .select('device_id, last_topic, first_seen_at, last_seen_at')
+    .order('last_seen_at', { ascending: false });
+
+  if (error) {
+    if (isMissingTableError(error, 'devices')) return [];
+    console.error('[devices] fetch failed:', error.message);
+    throw error;
+  }
+
+  return data || [];
+}
+
+// =====================================================
+// sensor_rejects (quarantined MQTT payloads)
+// =====================================================
+
+const MAX_REJECT_PAYLOAD_LENGTH = 4000;
+
+async function insertSensorReject({ deviceId, topic, reason, payload, details }) {
+  const rawPayload = typeof payload === 'string' ? payload : JSON.stringify(payload ?? null);
+  const { error } = await supabase
+    .from('sensor_rejects')
+    .insert([{
+      device_id: normalizeDeviceId(deviceId),
+      topic: topic || null,
+      reason: String(reason || 'unknown'),
+      payload: String(rawPayload).slice(0, MAX_REJECT_PAYLOAD_LENGTH),
+      details: details ?? null
+    }]);
+
+  if (error) {
+    if (isMissingTableError(error, 'sensor_rejects')) {
+      console.warn('[sensor_rejects] table missing; reject not stored');
+      return false;
+    }
+    console.error('[sensor_rejects] insert failed:', error.message);
+    return false;
+  }
+  return true;
+}
+
+async function getSensorRejects({ limit = 50, deviceId } = {}) {
+  const safeLimit = Math.max(1, Math.min(500, Number(limit) || 50));
+  let query = supabase
+    .from('sensor_rejects')
+    .select('*');
+
+  const device = normalizeDeviceId(deviceId);
+  if (deviceId && !device) throw makeHttpError(400, `Invalid device_id: ${deviceId}`);
+  if (device) query = query.eq('device_id', device);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(safeLimit);
+
+  if (error) {
+    if (isMissingTableError(error, 'sensor_rejects')) return [];
+    console.error('[sensor_rejects] fetch failed:', error.message);
+    throw error;
+  }
+  return data || [];
+}
+
+// =====================================================
+// notifications
+// =====================================================
+
+// notifications.kind is '<source>.<phase>'; reports count these instead of parsing titles.
+const NOTIFICATION_KINDS = {
+  alertRaised: ['threshold.raised', 'rate.raised', 'divergence.raised', 'offline.raised', 'stuck.raised'],
+  anomaly: ['anomaly.detected'],
+  report: 'report.sent'
+};
+
+let warnedNotificationKindColumns = false;
+
+function insertNotificationRow(row) {
+  return supabase
+    .from('notifications')
+    .insert([row])
+    .select('*')
+    .maybeSingle();
+}
+
+function applyNotificationOwnerFilter(query, ownerId) {
+  if (ownerId === DEFAULT_USER_ID) {
+    return query.or(`user_id.eq.${DEFAULT_USER_ID},user_id.is.null`);
+  }
+  return query.eq('user_id', ownerId);
+}
+
+// Delivery to push, email and Telegram goes through the notification outbox.
+// channelContent ({ email, telegram, push }) overrides the default rendering per channel;
+// channelContent.attachments lists period reports the outbox attaches to email and Telegram.
+// kind / metric tag the notification for reports (see NOTIFICATION_KINDS).
+async function insertWebNotification(title, message, type = 'info', { userId = DEFAULT_USER_ID, channelContent = {}, kind = null, metric = null } = {}) {
+  const owner = normalizeUserId(userId);
+  try {
+    const row = { title, message, type, is_read: false, user_id: owner, kind, metric };
+    let { data, error } = await insertNotificationRow(row);
+    if (error && isMissingColumnError(error)) {
+      if (!warnedNotificationKindColumns) {
+        warnedNotificationKindColumns = true;
+        console.warn('[notifications] kind/metric columns missing; run 20261019_notification_kind.sql so reports can count alerts');
+      }
+      const { kind: _kind, metric: _metric, ...legacyRow } = row;
+      ({ data, error } = await insertNotificationRow(legacyRow));
+    }
+
+    if (error) {
+      console.error('[notifications] insert failed:', error.message);
+      return false;
+    }
+    publishStreamEvent('notification', data || { title, message, type, user_id: owner }, { audience: owner });
+    await enqueueNotificationDeliveries({
+      notificationId: data?.id ?? null,
+      userId: owner,
+      content: {
+        title: title || 'CampusSense Alert',
+        message: message || 'New update available',
+        type,
+        email: channelContent.email || null,
+        telegram: channelContent.telegram || null,
+        push: channelContent.push || null,
+        attachments: channelContent.attachments || null
+      }
+    });
+    return true;
+  } catch (err) {
+    console.error('[notifications] insert exception:', err.message);
+    return false;
+  }
+}
+
+async function getReadNotificationIds(userId, ids) {
+  if (ids.length === 0) return null;
+  const { data, error } = await supabase
+    .from('notification_reads')
+    .select('notification_id')
+    .eq('user_id', normalizeUserId(userId))
+    .in('notification_id', ids);
+
+  if (error) {
+    if (!isMissingTableError(error, 'notification_reads')) {
+      console.warn('[notifications] read-state fetch failed:', error.message);
+    }
+    return null;
+  }
+  return new Set((data || []).map((row) => row.notification_id));
+}
+
+async function getWebNotifications(limit = 20, userId = DEFAULT_USER_ID) {
+  const safeLimit = Math.max(1, Math.min(200, Number(limit) || 20));
+  try {
+    const owner = await resolveSettingsOwner(userId);
+    const query = applyNotificationOwnerFilter(
+      supabase.from('notifications').select('*'),
+      owner
+    );
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(safeLimit);
+
     if (error) {
       console.error('[notifications] fetch failed:', error.message);
       return [];
     }
-    return data || [];
+
+    const rows = data || [];
+    const readIds = await getReadNotificationIds(userId, rows.map((row) => row.id));
+    if (!readIds) return rows;
+    return rows.map((row) => ({ ...row, is_read: readIds.has(row.id) }));
   } catch (err) {
     console.error('[notifications] fetch exception:', err.message);
     return [];
   }
 }
 
-async function markNotificationRead(id) {
+async function markNotificationRead(id, userId = DEFAULT_USER_ID) {
   try {
     const { error } = await supabase
+      .from('notification_reads')
+      .upsert(
+        [{ notification_id: id, user_id: normalizeUserId(userId), read_at: new Date().toISOString() }],
+        { onConflict: 'notification_id,user_id' }
+      );
+    if (!error) return true;
+    if (!isMissingTableError(error, 'notification_reads')) return false;
+
+    const { error: legacyError } = await supabase
       .from('notifications')
       .update({ is_read: true })
       .eq('id', id);
-    return !error;
+    return !legacyError;
   } catch {
     return false;
   }
@@ -602,20 +1758,35 @@ async function markNotificationRead(id) {
 // Threshold + settings APIs
 // =====================================================
 
-async function getThresholdSettings() {
-  const rows = await getThresholdRows();
-  return thresholdRowsToUiShape(rows);
+async function getThresholdSettings(userId = DEFAULT_USER_ID) {
+  const rows = await getThresholdRows(userId);
+  const app = await getEffectiveAppSettingsRow(userId);
+  return {
+    ...thresholdRowsToUiShape(rows),
+    anomaly_sensitivity: parseAnomalySensitivity(app.anomaly_sensitivity),
+    rate_rules: parseRateRules(app.rate_rules),
+    temp_divergence_tolerance: parseDivergenceTolerance(app.temp_divergence_tolerance)
+  };
 }
 
-async function setThresholdSettings(payload) {
-  const aqi = safeNumber(payload?.aqi);
-  const uv = safeNumber(payload?.uv);
-  const bmpTemp = safeNumber(payload?.bmp_temp);
-  const pressure = safeNumber(payload?.pressure);
-  const rainPercentage = safeNumber(payload?.rain_percentage);
+async function setThresholdSettings(payload, userId = DEFAULT_USER_ID) {
+  const owner = normalizeUserId(userId);
+  // Measured thresholds left out of the payload keep their stored value, so a
+  // caller can change one metric without resending (and racing) the others.
+  // The CO2 threshold may still arrive under its old 'aqi' key.
+  const input = payload?.co2 === undefined && payload?.aqi !== undefined ? { ...payload, co2: payload.aqi } : payload;
+  const stored = ['co2', 'uv', 'bmp_temp', 'pressure', 'rain_percentage'].some((m) => input?.[m] === undefined)
+    ? await getThresholdSettings(owner)
+    : {};
+  const pick = (metric) => safeNumber(input?.[metric] === undefined ? stored[metric] : input[metric]);
+  const co2 = pick('co2');
+  const uv = pick('uv');
+  const bmpTemp = pick('bmp_temp');
+  const pressure = pick('pressure');
+  const rainPercentage = pick('rain_percentage');
 
   if (
-    !Number.isFinite(aqi) ||
+    !Number.isFinite(co2) ||
     !Number.isFinite(uv) ||
     !Number.isFinite(bmpTemp) ||
     !Number.isFinite(pressure) ||
@@ -624,57 +1795,134 @@ async function setThresholdSettings(payload) {
     throw makeHttpError(400, 'Invalid threshold payload');
   }
 
+  // Derived metric thresholds are optional: a number sets one, null removes it.
+  const derivedThresholds = {};
+  for (const metric of DERIVED_METRICS) {
+    if (payload?.[metric] === undefined) continue;
+    const value = payload[metric] === null ? null : safeNumber(payload[metric]);
+    if (payload[metric] !== null && !Number.isFinite(value)) throw makeHttpError(400, `Invalid ${metric} threshold`);
+    derivedThresholds[metric] = value;
+  }
+
+  // Derived metrics can alert either way (e.g. dew point below a limit);
+  // payload.alert_if_above is the same { metric: boolean } map getThresholdSettings returns.
+  const directions = payload?.alert_if_above ?? {};
+  if (typeof directions !== 'object' || Array.isArray(directions)) {
+    throw makeHttpError(400, 'alert_if_above must be an object of metric: boolean');
+  }
+  for (const metric of DERIVED_METRICS) {
+    if (directions[metric] !== undefined && typeof directions[metric] !== 'boolean') {
+      throw makeHttpError(400, `alert_if_above.${metric} must be a boolean`);
+    }
+  }
+
+  const tuningUpdates = parseTuningPayload(payload?.tuning);
+  const sensitivityUpdates = payload?.anomaly_sensitivity !== undefined
+    ? parseAnomalySensitivityPayload(payload.anomaly_sensitivity)
+    : null;
+  const rateRules = payload?.rate_rules !== undefined ? parseRateRulesPayload(payload.rate_rules) : null;
+  const divergenceTolerance = payload?.temp_divergence_tolerance !== undefined
+    ? safeNumber(payload.temp_divergence_tolerance)
+    : null;
+  if (payload?.temp_divergence_tolerance !== undefined && !(divergenceTolerance >= 0)) {
+    throw makeHttpError(400, 'temp_divergence_tolerance must be a number >= 0 (0 disables the check)');
+  }
+  const current = await getThresholdRows(owner);
+  const currentByMetric = {};
+  for (const row of current) currentByMetric[row.metric] = row;
+
   const rows = [
-    { metric: 'aqi', threshold_value: Math.round(aqi), alert_if_above: true, description: 'Air quality threshold' },
+    { metric: 'co2', threshold_value: Math.round(co2), alert_if_above: true, description: 'CO2 threshold' },
     { metric: 'uv', threshold_value: uv, alert_if_above: true, description: 'UV threshold' },
     { metric: 'bmp_temp', threshold_value: bmpTemp, alert_if_above: true, description: 'Temperature threshold' },
     { metric: 'pressure', threshold_value: Math.round(pressure), alert_if_above: false, description: 'Pressure threshold' },
     { metric: 'rain_percentage', threshold_value: Math.round(rainPercentage), alert_if_above: true, description: 'Rain threshold' }
   ];
+  for (const [metric, value] of Object.entries(derivedThresholds)) {
+    if (value === null) continue;
+    const storedDirection = currentByMetric[metric]?.alert_if_above;
+    rows.push({
+      metric,
+      threshold_value: value,
+      alert_if_above: directions[metric] ?? (typeof storedDirection === 'boolean' ? storedDirection : true),
+      description: `${getMetricMeta(metric).label} threshold`
+    });
+  }
+  const removedMetrics = Object.keys(derivedThresholds).filter((metric) => derivedThresholds[metric] === null);
 
   const { error } = await supabase
     .from('alert_thresholds')
-    .upsert(rows.map((row) => ({ ...row, updated_at: new Date().toISOString() })), { onConflict: 'metric' });
+    .upsert(
+      rows.map((row) => ({
+        ...row,
+        ...resolveAlertTuning(currentByMetric[row.metric] || { metric: row.metric }),
+        ...tuningUpdates[row.metric],
+        user_id: owner,
+        updated_at: new Date().toISOString()
+      })),
+      { onConflict: 'user_id,metric' }
+    );
 
   if (error && !isMissingTableError(error, 'alert_thresholds')) {
     console.error('[thresholds] save failed:', error.message);
     throw error;
   }
 
+  if (!error && removedMetrics.length > 0) {
+    const { error: removeErr } = await supabase
+      .from('alert_thresholds')
+      .delete()
+      .eq('user_id', owner)
+      .in('metric', removedMetrics);
+    if (removeErr) console.warn('[thresholds] remove failed:', removeErr.message);
+  }
+
   // keep app_settings threshold columns in sync for compatibility
-  const app = await getOrCreateAppSettingsRow();
+  const app = await getOrCreateAppSettingsRow(owner);
   const { error: appErr } = await supabase
     .from('app_settings')
     .update({
-      threshold_aqi: Math.round(aqi),
+      // threshold_aqi is the CO2 threshold; the column keeps its original name.
+      threshold_aqi: Math.round(co2),
       threshold_uv: uv,
       threshold_bmp_temp: bmpTemp,
       threshold_pressure: Math.round(pressure),
       threshold_rain_percentage: Math.round(rainPercentage),
+      ...(sensitivityUpdates && {
+        anomaly_sensitivity: { ...parseAnomalySensitivity(app.anomaly_sensitivity), ...sensitivityUpdates }
+      }),
+      ...(rateRules && { rate_rules: rateRules }),
+      ...(divergenceTolerance !== null && { temp_divergence_tolerance: divergenceTolerance }),
       updated_at: new Date().toISOString()
     })
-    .eq('key', app.key || APP_SETTINGS_KEY);
+    .eq('key', app.key || settingsKeyForUser(owner));
 
   if (appErr) {
     console.warn('[app_settings] threshold sync failed:', appErr.message);
   }
 
-  return getThresholdSettings();
+  invalidateAlertSettingsCache();
+  return getThresholdSettings(owner);
 }
 
-async function getNotificationSettings() {
-  const row = await getOrCreateAppSettingsRow();
+async function getNotificationSettings(userId = DEFAULT_USER_ID) {
+  const row = await getEffectiveAppSettingsRow(userId);
   const times = parseReportTimes(row.report_times);
   const alertRate = ALLOWED_ALERT_RATES.has(row.alert_rate) ? row.alert_rate : DEFAULT_ALERT_RATE;
   return {
     report_times: times.length ? times : [...DEFAULT_REPORT_TIMES],
     alert_rate: alertRate,
     rate: alertRate,
+    alert_cooldown_per_device: !!row.alert_cooldown_per_device,
+    email_recipients: parseEmailRecipients(row.email_recipients) || [],
+    period_reports: parsePeriodReports(row.period_reports) || [],
+    quiet_hours: quietHoursFromRow(row),
     timezone: row.timezone || DEFAULT_TIMEZONE
   };
 }
 
-async function setNotificationSettings(payload) {
+async function setNotificationSettings(payload, userId = DEFAULT_USER_ID) {
+  const owner = normalizeUserId(userId);
   const reportTimes = normalizeTimes(payload?.report_times);
   if (reportTimes.length === 0) {
     throw makeHttpError(400, 'report_times must contain at least one valid HH:MM value');
@@ -686,156 +1934,1672 @@ async function setNotificationSettings(payload) {
     throw makeHttpError(400, 'Invalid alert_rate');
   }
 
+  const perDeviceInput = payload?.alert_cooldown_per_device;
+  if (perDeviceInput !== undefined && typeof perDeviceInput !== 'boolean') {
+    throw makeHttpError(400, 'alert_cooldown_per_device must be a boolean');
+  }
+
+  let emailRecipients;
+  if (payload?.email_recipients !== undefined) {
+    emailRecipients = parseEmailRecipients(payload.email_recipients);
+    if (!emailRecipients) {
+      throw makeHttpError(400, `email_recipients must be a list of up to ${MAX_EMAIL_RECIPIENTS} email addresses`);
+    }
+  }
+
+  let periodReports;
+  if (payload?.period_reports !== undefined) {
+    periodReports = parsePeriodReports(payload.period_reports);
+    if (!periodReports) {
+      throw makeHttpError(400, `period_reports must be a list of: ${PERIOD_REPORT_TYPES.join(', ')}`);
+    }
+  }
+
   const timezone = String(payload?.timezone || DEFAULT_TIMEZONE).trim() || DEFAULT_TIMEZONE;
-  const row = await getOrCreateAppSettingsRow();
+  const row = await getOrCreateAppSettingsRow(owner);
+  const quietHours = parseQuietHoursPayload(payload?.quiet_hours, quietHoursFromRow(row));
 
   const { error } = await supabase
     .from('app_settings')
     .update({
       report_times: reportTimes,
       alert_rate: alertRate,
+      alert_cooldown_per_device: perDeviceInput ?? !!row.alert_cooldown_per_device,
+      email_recipients: emailRecipients ?? (parseEmailRecipients(row.email_recipients) || []),
+      period_reports: periodReports ?? (parsePeriodReports(row.period_reports) || []),
+      quiet_hours_enabled: quietHours.enabled,
+      quiet_hours_start: quietHours.start,
+      quiet_hours_end: quietHours.end,
+      quiet_hours_days: quietHours.days,
+      // Left null unless set explicitly, so quiet hours follow the settings timezone.
+      quiet_hours_timezone: payload?.quiet_hours?.timezone !== undefined ? quietHours.timezone : row.quiet_hours_timezone || null,
       timezone,
       updated_at: new Date().toISOString()
     })
-    .eq('key', row.key || APP_SETTINGS_KEY);
+    .eq('key', row.key || settingsKeyForUser(owner));
 
   if (error) {
     console.error('[app_settings] save report settings failed:', error.message);
     throw error;
   }
 
-  return getNotificationSettings();
+  invalidateAlertSettingsCache();
+  await syncReportSlots(owner, reportTimes);
+  return getNotificationSettings(owner);
 }
 
 // =====================================================
 // Scheduled report engine
 // =====================================================
 
-async function wasScheduledReportAlreadySent(dateYMD, hhmm) {
-  const title = `Scheduled Report ${dateYMD} ${hhmm}`;
-  const { data, error } = await supabase
-    .from('notifications')
-    .select('id')
-    .eq('type', 'report')
-    .eq('title', title)
-    .order('created_at', { ascending: false })
-    .limit(1);
+const DIGEST_METRICS = ['bmp_temp', 'humidity', 'dew_point', 'heat_index', 'absolute_humidity', 'pressure', 'co2', 'uv', 'rain_percentage'];
+const DIGEST_TARGET_POINTS = 288;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-  if (error) {
-    console.warn('[reports] dedupe check failed; skipping send this tick:', error.message);
-    return true;
-  }
-  return Array.isArray(data) && data.length > 0;
+// Minutes since the report slot before nowHHMM; yesterday's last slot when
+// none is earlier today, so a single daily report covers 24h.
+function getReportPeriodMinutes(reportTimes, nowHHMM) {
+  const now = hhmmToMinutes(nowHHMM);
+  const gaps = (reportTimes || []).map((time) => ((now - hhmmToMinutes(time)) % 1440 + 1440) % 1440 || 1440);
+  return gaps.length > 0 ? Math.min(...gaps) : 1440;
 }
 
-async function processScheduledReportDispatch() {
-  const prefs = await getNotificationSettings();
-  const nowHHMM = getCurrentHHMM(prefs.timezone);
-  const isDue = Array.isArray(prefs.report_times) && prefs.report_times.includes(nowHHMM);
-  if (!isDue) {
-    return { sent: false, reason: 'not-due-minute', nowHHMM };
+// Collapses buckets into min/avg/max (avg weighted by sample count) and the peak time.
+function summarizeMetricBuckets(buckets) {
+  let min = Infinity;
+  let max = -Infinity;
+  let peakAt = null;
+  let sum = 0;
+  let samples = 0;
+  for (const b of buckets) {
+    const avg = safeNumber(b.avg_value);
+    if (!Number.isFinite(avg)) continue;
+    const count = safeNumber(b.sample_count, 0) || 1;
+    const high = safeNumber(b.max_value, avg);
+    min = Math.min(min, safeNumber(b.min_value, avg));
+    if (high > max) {
+      max = high;
+      peakAt = b.bucket_start;
+    }
+    sum += avg * count;
+    samples += count;
   }
+  if (samples === 0) return { min: null, avg: null, max: null, peakAt: null, samples: 0 };
+  return { min, avg: sum / samples, max, peakAt, samples };
+}
+
+// Changes within 1% (or the metric's display precision) count as flat.
+function classifyTrend(avg, prevAvg, decimals) {
+  if (!Number.isFinite(avg) || !Number.isFinite(prevAvg)) return 'none';
+  const tolerance = Math.max(Math.abs(prevAvg) * 0.01, 10 ** -decimals);
+  if (avg - prevAvg > tolerance) return 'up';
+  if (prevAvg - avg > tolerance) return 'down';
+  return 'flat';
+}
+
+function describeNotificationKind(kind, metric) {
+  const label = metric ? getMetricMeta(metric).label : null;
+  if (kind === 'offline.raised') return 'Sensor offline';
+  if (kind === 'stuck.raised') return `${label || 'Sensor'} stuck`;
+  if (kind === 'divergence.raised') return 'Temp sensors disagree';
+  return label || 'Other';
+}
 
-  const dateYMD = getCurrentDateYMD(prefs.timezone);
-  if (await wasScheduledReportAlreadySent(dateYMD, nowHHMM)) {
-    return { sent: false, reason: 'already-sent', nowHHMM, dateYMD };
+// Notifications of the given kinds, grouped by what they were about.
+async function countNotificationKinds(ownerId, kinds, startIso, endIso) {
+  const counts = new Map();
+  let total = 0;
+  for (let offset = 0; ; offset += SENSOR_PAGE_SIZE) {
+    const query = applyNotificationOwnerFilter(
+      supabase.from('notifications').select('kind, metric'),
+      ownerId
+    );
+    const { data, error } = await query
+      .in('kind', kinds)
+      .gte('created_at', startIso)
+      .lt('created_at', endIso)
+      .order('id', { ascending: true })
+      .range(offset, offset + SENSOR_PAGE_SIZE - 1);
+
+    if (error) {
+      console.warn('[reports] notification count failed:', error.message);
+      return { total: 0, byMetric: [] };
+    }
+
+    for (const row of data || []) {
+      const label = describeNotificationKind(row.kind, row.metric);
+      counts.set(label, (counts.get(label) || 0) + 1);
+      total += 1;
+    }
+    if (!data || data.length < SENSOR_PAGE_SIZE) break;
   }
+  return {
+    total,
+    byMetric: [...counts.entries()].map(([label, count]) => ({ label, count }))
+  };
+}
 
-  const latest = await getLatestSensorData();
-  const title = `Scheduled Report ${dateYMD} ${nowHHMM}`;
-  const message = buildScheduledReportMessage(latest, { nowHHMM, dateYMD, timezone: prefs.timezone });
-  const ok = await insertWebNotification(title, message, 'report');
-  if (!ok) {
-    return { sent: false, reason: 'insert-failed', nowHHMM, dateYMD };
+// Ongoing reminders and clears are not counted.
+function countAlertsRaised(ownerId, startIso, endIso) {
+  return countNotificationKinds(ownerId, NOTIFICATION_KINDS.alertRaised, startIso, endIso);
+}
+
+// Summary of the period ending at endDate, compared with the same period yesterday.
+async function buildReportDigest(ownerId, prefs, endDate = new Date()) {
+  const nowHHMM = getCurrentHHMM(prefs.timezone, endDate);
+  const minutes = getReportPeriodMinutes(prefs.report_times, nowHHMM);
+  const endMs = Math.floor(endDate.getTime() / 60000) * 60000;
+  const startMs = endMs - minutes * 60000;
+  const startIso = new Date(startMs).toISOString();
+  const endIso = new Date(endMs).toISOString();
+  const bucketSeconds = pickBucketSeconds(startIso, endIso, DIGEST_TARGET_POINTS);
+
+  const metrics = [];
+  for (const metric of DIGEST_METRICS) {
+    const column = METRIC_COLUMN_MAP[metric];
+    const meta = getMetricMeta(metric);
+    const [current, previous] = await Promise.all([
+      fetchMetricBuckets({ column, startIso, endIso, bucketSeconds }),
+      fetchMetricBuckets({
+        column,
+        startIso: new Date(startMs - DAY_MS).toISOString(),
+        endIso: new Date(endMs - DAY_MS).toISOString(),
+        bucketSeconds
+      })
+    ]);
+    const summary = summarizeMetricBuckets(current);
+    const prevAvg = summarizeMetricBuckets(previous).avg;
+    metrics.push({
+      metric,
+      label: meta.label,
+      unit: meta.unit,
+      decimals: meta.decimals,
+      ...summary,
+      peakHHMM: summary.peakAt ? getCurrentHHMM(prefs.timezone, new Date(summary.peakAt)) : null,
+      prevAvg,
+      trend: classifyTrend(summary.avg, prevAvg, meta.decimals)
+    });
   }
 
+  const co2 = metrics.find((entry) => entry.metric === 'co2');
   return {
-    sent: true,
-    reason: 'sent',
-    nowHHMM,
-    dateYMD,
-    title,
-    message
+    timezone: prefs.timezone,
+    periodStart: startIso,
+    periodEnd: endIso,
+    periodStartHHMM: getCurrentHHMM(prefs.timezone, new Date(startMs)),
+    periodEndHHMM: nowHHMM,
+    periodLabel: minutes % 60 === 0 ? `${minutes / 60}h` : formatDuration(minutes * 60000),
+    metrics,
+    // CO2 band of the period average and of its peak.
+    airQuality: co2?.samples > 0 ? { band: getCo2Band(co2.avg).label, worst: getCo2Band(co2.max).label } : null,
+    alerts: await countAlertsRaised(ownerId, startIso, endIso),
+    anomalies: await countNotificationKinds(ownerId, NOTIFICATION_KINDS.anomaly, startIso, endIso)
   };
 }
 
 // =====================================================
-// Threshold alert engine (kept for compatibility, currently disabled in MQTT flow)
+// Report schedule state (scheduled_reports) and history (report_history)
 // =====================================================
 
-async function wasAlertRecentlySent(cooldownMs) {
-  const sinceIso = new Date(Date.now() - cooldownMs).toISOString();
-  const { data, error } = await supabase
-    .from('notifications')
-    .select('id')
-    .eq('type', 'alert')
-    .gte('created_at', sinceIso)
+// A slot missed by a restart or a slow tick is still sent this many minutes later, labelled late.
+const REPORT_GRACE_MINUTES = Math.min(1439, Math.max(0, safeNumber(process.env.REPORT_GRACE_MINUTES, 60)));
+const MEMORY_REPORT_HISTORY_LIMIT = 200;
+
+// Fallbacks when the schedule state migration has not been applied yet.
+const memoryReportState = new Map();
+const memoryReportHistory = [];
+
+function isMissingColumnError(err) {
+  const msg = String(err?.message || '').toLowerCase();
+  return msg.includes('column') && (msg.includes('does not exist') || msg.includes('could not find'));
+}
+
+function isReportStoreMissing(err, tableName) {
+  return isMissingTableError(err, tableName) || isMissingColumnError(err);
+}
+
+// report_time -> { last_sent_date, is_active }; null when scheduled_reports cannot be read.
+async function getReportScheduleState(ownerId) {
+  const { data, error } = await supabase
+    .from('scheduled_reports')
+    .select('report_time, last_sent_date, is_active')
+    .eq('user_id', ownerId);
+
+  if (error) {
+    if (!isReportStoreMissing(error, 'scheduled_reports')) {
+      console.warn('[reports] schedule state fetch failed:', error.message);
+    }
+    return null;
+  }
+  return new Map((data || []).map((row) => [row.report_time, row]));
+}
+
+// Marks the slot as handled for dateYMD; sentAt is omitted when a slot is only seeded.
+async function saveReportSlot(ownerId, reportTime, dateYMD, { sentAt } = {}) {
+  memoryReportState.set(`${ownerId}|${reportTime}`, dateYMD);
+  const row = {
+    user_id: ownerId,
+    report_time: reportTime,
+    is_active: true,
+    last_sent_date: dateYMD,
+    updated_at: new Date().toISOString()
+  };
+  if (sentAt) row.last_sent_at = sentAt;
+
+  const { error } = await supabase
+    .from('scheduled_reports')
+    .upsert([row], { onConflict: 'user_id,report_time' });
+
+  if (error && !isReportStoreMissing(error, 'scheduled_reports')) {
+    console.error('[reports] schedule state save failed:', error.message);
+  }
+}
+
+// Removed report times stop being tracked; re-adding one later does not trigger a catch-up.
+async function syncReportSlots(ownerId, reportTimes) {
+  const list = reportTimes.map((time) => `"${time}"`).join(',');
+  const { error } = await supabase
+    .from('scheduled_reports')
+    .update({ is_active: false, updated_at: new Date().toISOString() })
+    .eq('user_id', ownerId)
+    .eq('is_active', true)
+    .not('report_time', 'in', `(${list})`);
+
+  if (error && !isReportStoreMissing(error, 'scheduled_reports')) {
+    console.warn('[reports] schedule state sync failed:', error.message);
+  }
+}
+
+async function recordReportHistory(entry) {
+  const { error } = await supabase.from('report_history').insert([entry]);
+  if (!error) return;
+
+  if (!isReportStoreMissing(error, 'report_history')) {
+    console.error('[reports] history insert failed; keeping it in memory:', error.message);
+  }
+  memoryReportHistory.unshift({ id: `mem-${memoryReportHistory.length + 1}`, ...entry });
+  memoryReportHistory.length = Math.min(memoryReportHistory.length, MEMORY_REPORT_HISTORY_LIMIT);
+}
+
+async function getReportHistory(userId, limit = 50) {
+  const safeLimit = Math.max(1, Math.min(200, Number(limit) || 50));
+  const owner = await resolveSettingsOwner(userId);
+
+  const { data, error } = await supabase
+    .from('report_history')
+    .select('id, report_date, report_time, title, late, period_start, period_end, sent_at')
+    .eq('user_id', owner)
+    .order('sent_at', { ascending: false })
+    .limit(safeLimit);
+
+  if (error) {
+    if (!isReportStoreMissing(error, 'report_history')) {
+      console.error('[reports] history fetch failed:', error.message);
+      throw error;
+    }
+    return memoryReportHistory
+      .filter((row) => row.user_id === owner)
+      .slice(0, safeLimit)
+      .map(({ user_id: _owner, ...row }) => row);
+  }
+  return data || [];
+}
+
+// Title-based check, used only when scheduled_reports is unavailable.
+async function wasScheduledReportAlreadySent(dateYMD, hhmm, ownerId) {
+  const query = applyNotificationOwnerFilter(
+    supabase.from('notifications').select('id'),
+    ownerId
+  );
+  const { data, error } = await query
+    .eq('type', 'report')
+    .like('title', `Scheduled Report ${dateYMD} ${hhmm}%`)
     .order('created_at', { ascending: false })
     .limit(1);
 
   if (error) {
-    console.warn('[alerts] cooldown check failed; allowing send:', error.message);
-    return false;
+    console.warn('[reports] dedupe check failed; skipping send this tick:', error.message);
+    return true;
+  }
+  return Array.isArray(data) && data.length > 0;
+}
+
+// Most recent occurrence of reportTime at or before now.
+function getLatestSlotOccurrence(reportTime, timezone, now) {
+  const nowMinuteMs = Math.floor(now.getTime() / 60000) * 60000;
+  const nowMinutes = hhmmToMinutes(getCurrentHHMM(timezone, new Date(nowMinuteMs)));
+  const lateMinutes = ((nowMinutes - hhmmToMinutes(reportTime)) % 1440 + 1440) % 1440;
+  const at = new Date(nowMinuteMs - lateMinutes * 60000);
+  return { reportTime, at, dateYMD: getCurrentDateYMD(timezone, at), lateMinutes };
+}
+
+// Occurrences that still need a report, oldest first.
+async function findDueReportSlots(ownerId, prefs, now) {
+  const state = await getReportScheduleState(ownerId);
+  const due = [];
+
+  for (const reportTime of prefs.report_times || []) {
+    const slot = getLatestSlotOccurrence(reportTime, prefs.timezone, now);
+    if (slot.lateMinutes > REPORT_GRACE_MINUTES) continue;
+
+    if (!state) {
+      const key = `${ownerId}|${reportTime}`;
+      if (memoryReportState.get(key) === slot.dateYMD) continue;
+      if (await wasScheduledReportAlreadySent(slot.dateYMD, reportTime, ownerId)) {
+        memoryReportState.set(key, slot.dateYMD);
+        continue;
+      }
+      due.push(slot);
+      continue;
+    }
+
+    const row = state.get(reportTime);
+    if (!row || row.is_active === false) {
+      // New slot: start tracking it instead of sending a catch-up for a time that was never scheduled.
+      if (slot.lateMinutes > 0) {
+        await saveReportSlot(ownerId, reportTime, slot.dateYMD);
+        continue;
+      }
+    } else if (row.last_sent_date && String(row.last_sent_date) >= slot.dateYMD) {
+      continue;
+    }
+    due.push(slot);
+  }
+
+  return due.sort((a, b) => a.at - b.at);
+}
+
+async function sendScheduledReport(userId, prefs, slot, now) {
+  const late = slot.lateMinutes > 0;
+  const title = `Scheduled Report ${slot.dateYMD} ${slot.reportTime}${late ? ' (late)' : ''}`;
+  const digest = await buildReportDigest(userId, prefs, slot.at);
+  if (late) digest.late = { sentHHMM: getCurrentHHMM(prefs.timezone, now), minutes: slot.lateMinutes };
+
+  const rendered = renderReportDigest(digest, title);
+  let { message } = rendered;
+  const channelContent = { ...rendered.channelContent };
+
+  // The day's first slot carries the weekly / monthly reports that just closed.
+  const firstSlot = [...prefs.report_times].sort()[0];
+  const periods = slot.reportTime === firstSlot ? getPeriodReportsEndingBefore(slot.dateYMD, prefs.period_reports) : [];
+  if (periods.length > 0) {
+    const reportDate = addDaysYMD(slot.dateYMD, -1);
+    // link_text stands in for the PDF on channels where it cannot be attached.
+    channelContent.attachments = periods.map((period) => ({
+      period,
+      date: reportDate,
+      user_id: userId,
+      link_text: describePeriodReportLink(period, reportDate, userId)
+    }));
+    message += `\n${channelContent.attachments.map((item) => item.link_text).join('\n')}`;
+  }
+
+  const base = { userId, dateYMD: slot.dateYMD, reportTime: slot.reportTime, late };
+  const ok = await insertWebNotification(title, message, 'report', { userId, channelContent, kind: NOTIFICATION_KINDS.report });
+  if (!ok) return { ...base, sent: false, reason: 'insert-failed' };
+
+  const sentAt = now.toISOString();
+  await saveReportSlot(userId, slot.reportTime, slot.dateYMD, { sentAt });
+  await recordReportHistory({
+    user_id: userId,
+    report_date: slot.dateYMD,
+    report_time: slot.reportTime,
+    title,
+    late,
+    period_start: digest.periodStart,
+    period_end: digest.periodEnd,
+    sent_at: sentAt
+  });
+
+  return { ...base, sent: true, reason: late ? 'sent-late' : 'sent', sentAt, title, message, digest };
+}
+
+async function dispatchScheduledReportForUser(userId) {
+  const now = new Date();
+  const prefs = await getNotificationSettings(userId);
+  const due = await findDueReportSlots(userId, prefs, now);
+  if (due.length === 0) {
+    return [{ userId, sent: false, reason: 'not-due', nowHHMM: getCurrentHHMM(prefs.timezone, now) }];
+  }
+
+  const results = [];
+  for (const slot of due) results.push(await sendScheduledReport(userId, prefs, slot, now));
+  return results;
+}
+
+// Runs every user's own report schedule; returns one result per settings owner and sent slot.
+async function processScheduledReportDispatch() {
+  const owners = await listSettingsOwners();
+  const results = [];
+  for (const userId of owners) {
+    try {
+      results.push(...await dispatchScheduledReportForUser(userId));
+    } catch (err) {
+      console.error(`[reports] dispatch failed for ${userId}:`, err.message);
+      results.push({ userId, sent: false, reason: 'error' });
+    }
+  }
+  return results;
+}
+
+// Digest of the period since the last scheduled slot, built on demand (nothing is stored).
+async function buildCurrentReport(userId = DEFAULT_USER_ID) {
+  const now = new Date();
+  const prefs = await getNotificationSettings(userId);
+  const title = `Report ${getCurrentDateYMD(prefs.timezone)} ${getCurrentHHMM(prefs.timezone, now)}`;
+  const digest = await buildReportDigest(userId, prefs, now);
+  const { message, channelContent } = renderReportDigest(digest, title);
+  return { title, message, telegram: channelContent.telegram, digest };
+}
+
+// =====================================================
+// Period reports (weekly / monthly, rendered by services/periodReport.js)
+// =====================================================
+
+// 30-minute buckets line up with day boundaries in half-hour timezones such as Asia/Kolkata.
+const PERIOD_REPORT_BUCKET_SECONDS = 1800;
+// Keeps each bucket query under the PostgREST row limit.
+const PERIOD_REPORT_CHUNK_DAYS = 7;
+
+// UV index bands (WHO) and the CO2 air-quality bands used for the exposure summaries.
+const UV_EXPOSURE_BANDS = [
+  { label: 'Low', below: 3 },
+  { label: 'Moderate', below: 6 },
+  { label: 'High', below: 8 },
+  { label: 'Very high', below: 11 },
+  { label: 'Extreme', below: Infinity }
+];
+const CO2_EXPOSURE_BANDS = CO2_BANDS.map((band) => ({ label: band.label, below: band.max }));
+
+function addDaysYMD(dateYMD, days) {
+  const date = new Date(`${dateYMD}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function getTimezoneOffsetMs(timezone, ms) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || DEFAULT_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(ms));
+  const map = {};
+  for (const part of parts) map[part.type] = Number(part.value);
+  const asUtc = Date.UTC(map.year, map.month - 1, map.day, map.hour, map.minute, map.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// UTC instant of local midnight on dateYMD in the given timezone.
+function getZonedDayStartMs(dateYMD, timezone) {
+  const guess = Date.parse(`${dateYMD}T00:00:00Z`);
+  const offset = getTimezoneOffsetMs(timezone, guess);
+  const candidate = guess - offset;
+  const corrected = getTimezoneOffsetMs(timezone, candidate);
+  return corrected === offset ? candidate : guess - corrected;
+}
+
+// Calendar week (Mon-Sun) or month containing dateInput; the last complete one by default.
+function resolveReportPeriodWindow(period, dateInput, timezone) {
+  if (!PERIOD_REPORT_TYPES.includes(period)) throw makeHttpError(400, `Unsupported report period: ${period}`);
+
+  let anchor;
+  if (dateInput) {
+    anchor = String(dateInput).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(anchor) || addDaysYMD(anchor, 0) !== anchor) {
+      throw makeHttpError(400, `Invalid date: ${dateInput} (expected YYYY-MM-DD)`);
+    }
+  } else {
+    const today = getCurrentDateYMD(timezone);
+    anchor = period === 'weekly' ? addDaysYMD(today, -7) : addDaysYMD(`${today.slice(0, 8)}01`, -1);
+  }
+
+  let startYMD;
+  let endYMD;
+  if (period === 'weekly') {
+    const weekday = new Date(`${anchor}T00:00:00Z`).getUTCDay();
+    startYMD = addDaysYMD(anchor, -((weekday + 6) % 7));
+    endYMD = addDaysYMD(startYMD, 7);
+  } else {
+    startYMD = `${anchor.slice(0, 8)}01`;
+    endYMD = `${addDaysYMD(startYMD, 31).slice(0, 8)}01`;
+  }
+
+  const days = [];
+  for (let day = startYMD; day < endYMD; day = addDaysYMD(day, 1)) days.push(day);
+  return {
+    startYMD,
+    lastYMD: days[days.length - 1],
+    days,
+    startMs: getZonedDayStartMs(startYMD, timezone),
+    endMs: getZonedDayStartMs(endYMD, timezone)
+  };
+}
+
+async function fetchMetricBucketsChunked({ column, startMs, endMs, bucketSeconds }) {
+  const chunkMs = PERIOD_REPORT_CHUNK_DAYS * DAY_MS;
+  const buckets = [];
+  for (let from = startMs; from < endMs; from += chunkMs) {
+    const to = Math.min(endMs, from + chunkMs);
+    buckets.push(...await fetchMetricBuckets({
+      column,
+      startIso: new Date(from).toISOString(),
+      endIso: new Date(to - 1).toISOString(),
+      bucketSeconds
+    }));
+  }
+  return buckets;
+}
+
+// Hours spent in each band, judged by the bucket average.
+function summarizeExposure(buckets, bands) {
+  const hoursPerBucket = PERIOD_REPORT_BUCKET_SECONDS / 3600;
+  const hours = bands.map((band) => ({ label: band.label, hours: 0 }));
+  for (const b of buckets) {
+    const avg = safeNumber(b.avg_value);
+    if (!Number.isFinite(avg)) continue;
+    hours[bands.findIndex((band) => avg < band.below)].hours += hoursPerBucket;
+  }
+  return hours;
+}
+
+async function buildPeriodReport(period, { userId, date } = {}) {
+  const owner = await resolveSettingsOwner(userId);
+  const prefs = await getNotificationSettings(owner);
+  const timezone = prefs.timezone;
+  const window = resolveReportPeriodWindow(String(period || '').trim().toLowerCase(), date, timezone);
+  const thresholds = new Map((await getThresholdRows(owner)).map((row) => [row.metric, row]));
+  const hoursPerBucket = PERIOD_REPORT_BUCKET_SECONDS / 3600;
+
+  const metrics = [];
+  const bucketsByMetric = {};
+  for (const metric of DIGEST_METRICS) {
+    const meta = getMetricMeta(metric);
+    const buckets = await fetchMetricBucketsChunked({
+      column: METRIC_COLUMN_MAP[metric],
+      startMs: window.startMs,
+      endMs: window.endMs,
+      bucketSeconds: PERIOD_REPORT_BUCKET_SECONDS
+    });
+    bucketsByMetric[metric] = buckets;
+
+    const byDay = new Map(window.days.map((day) => [day, []]));
+    for (const b of buckets) byDay.get(getCurrentDateYMD(timezone, new Date(b.bucket_start)))?.push(b);
+
+    const row = thresholds.get(metric);
+    const threshold = safeNumber(row?.threshold_value);
+    let exceedance = null;
+    if (Number.isFinite(threshold)) {
+      const above = row.alert_if_above !== false;
+      const beyond = buckets.filter((b) => {
+        const avg = safeNumber(b.avg_value);
+        return Number.isFinite(avg) && (above ? avg >= threshold : avg <= threshold);
+      });
+      exceedance = { threshold, alert_if_above: above, hours: beyond.length * hoursPerBucket };
+    }
+
+    const summary = summarizeMetricBuckets(buckets);
+    metrics.push({
+      metric,
+      label: meta.label,
+      unit: meta.unit,
+      decimals: meta.decimals,
+      ...summary,
+      peakAt: summary.peakAt ? new Date(summary.peakAt).toISOString() : null,
+      coverageHours: buckets.length * hoursPerBucket,
+      daily: window.days.map((day) => ({ date: day, ...summarizeMetricBuckets(byDay.get(day)) })),
+      points: buckets.map((b) => ({
+        created_at: b.bucket_start,
+        value: safeNumber(b.avg_value),
+        min: safeNumber(b.min_value),
+        max: safeNumber(b.max_value)
+      })),
+      exceedance
+    });
+  }
+
+  const startIso = new Date(window.startMs).toISOString();
+  const endIso = new Date(window.endMs).toISOString();
+  return {
+    period,
+    title: period === 'weekly'
+      ? `Weekly Environmental Report ${window.startYMD} to ${window.lastYMD}`
+      : `Monthly Environmental Report ${window.startYMD.slice(0, 7)}`,
+    userId: owner,
+    timezone,
+    startYMD: window.startYMD,
+    lastYMD: window.lastYMD,
+    periodStart: startIso,
+    periodEnd: endIso,
+    generatedAt: new Date().toISOString(),
+    bucketMinutes: PERIOD_REPORT_BUCKET_SECONDS / 60,
+    metrics,
+    exposure: {
+      uv: summarizeExposure(bucketsByMetric.uv, UV_EXPOSURE_BANDS),
+      co2: summarizeExposure(bucketsByMetric.co2, CO2_EXPOSURE_BANDS)
+    },
+    alerts: await countAlertsRaised(owner, startIso, endIso)
+  };
+}
+
+// Periods that end the day before dateYMD: weekly on Mondays, monthly on the 1st.
+function getPeriodReportsEndingBefore(dateYMD, enabled) {
+  const due = [];
+  if (enabled.includes('weekly') && new Date(`${dateYMD}T00:00:00Z`).getUTCDay() === 1) due.push('weekly');
+  if (enabled.includes('monthly') && dateYMD.endsWith('-01')) due.push('monthly');
+  return due;
+}
+
+// "Weekly report: <download link>"; the link is absolute when RENDER_EXTERNAL_URL is set.
+function describePeriodReportLink(period, dateYMD, userId) {
+  const origin = String(process.env.RENDER_EXTERNAL_URL || '').trim().replace(/\/$/, '');
+  const userQuery = userId === DEFAULT_USER_ID ? '' : `&user_id=${encodeURIComponent(userId)}`;
+  const label = period === 'weekly' ? 'Weekly' : 'Monthly';
+  return `${label} report: ${origin}/api/reports/${period}?date=${dateYMD}&format=pdf${userQuery}`;
+}
+
+// =====================================================
+// alert_states (lifecycle per settings owner x device x metric)
+// =====================================================
+
+const ALERT_STATE_OK = 'ok';
+const ALERT_STATE_PENDING = 'pending';
+const ALERT_STATE_RAISED = 'raised';
+const ONGOING_REMINDER_MIN_MS = 30 * 60 * 1000;
+
+// Fallback store when the alert_states table has not been migrated yet.
+const memoryAlertStates = new Map();
+
+function alertStateKey(row) {
+  return `${row.user_id}|${row.device_id}|${row.metric}`;
+}
+
+async function loadAlertStates(ownerId, deviceId) {
+  const byMetric = new Map();
+  const { data, error } = await supabase
+    .from('alert_states')
+    .select('*')
+    .eq('user_id', ownerId)
+    .eq('device_id', deviceId);
+
+  if (!error) {
+    for (const row of data || []) byMetric.set(row.metric, row);
+    return byMetric;
+  }
+  if (!isMissingTableError(error, 'alert_states')) {
+    console.error('[alerts] state fetch failed:', error.message);
+    throw error;
+  }
+
+  for (const row of memoryAlertStates.values()) {
+    if (row.user_id === ownerId && row.device_id === deviceId) byMetric.set(row.metric, row);
+  }
+  return byMetric;
+}
+
+async function saveAlertStates(rows) {
+  if (rows.length === 0) return;
+  const { error } = await supabase
+    .from('alert_states')
+    .upsert(rows, { onConflict: 'user_id,device_id,metric' });
+
+  if (!error) return;
+  if (!isMissingTableError(error, 'alert_states')) {
+    console.error('[alerts] state save failed:', error.message);
+    return;
+  }
+  for (const row of rows) memoryAlertStates.set(alertStateKey(row), row);
+}
+
+// =====================================================
+// Threshold alert engine (evaluated per settings owner)
+// =====================================================
+
+// Latest raise of a metric on any device (cooldowns shared across devices).
+async function getLatestMetricRaiseMs(ownerId, metric) {
+  const { data, error } = await supabase
+    .from('alert_states')
+    .select('last_raised_at')
+    .eq('user_id', ownerId)
+    .eq('metric', metric)
+    .not('last_raised_at', 'is', null)
+    .order('last_raised_at', { ascending: false })
+    .limit(1);
+
+  let latestIso = null;
+  if (!error) {
+    latestIso = data?.[0]?.last_raised_at || null;
+  } else if (isMissingTableError(error, 'alert_states')) {
+    for (const row of memoryAlertStates.values()) {
+      if (row.user_id !== ownerId || row.metric !== metric || !row.last_raised_at) continue;
+      if (!latestIso || row.last_raised_at > latestIso) latestIso = row.last_raised_at;
+    }
+  } else {
+    console.warn('[alerts] cooldown check failed; allowing send:', error.message);
+  }
+  return latestIso ? Date.parse(latestIso) : null;
+}
+
+// Cooldowns are tracked per metric (and per device when enabled), so one
+// condition never suppresses another.
+async function isMetricCoolingDown({ ownerId, state, cooldownMs, perDevice, nowMs }) {
+  const lastRaisedMs = perDevice
+    ? (state.last_raised_at ? Date.parse(state.last_raised_at) : null)
+    : await getLatestMetricRaiseMs(ownerId, state.metric);
+  return Number.isFinite(lastRaisedMs) && nowMs - lastRaisedMs < cooldownMs;
+}
+
+function formatDuration(ms) {
+  const totalMinutes = Math.max(0, Math.round(ms / 60000));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes}m`;
+  if (hours < 24) return `${hours}h ${minutes}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function describeAlertValue(metric, value) {
+  const meta = getMetricMeta(metric);
+  const unitSuffix = meta.unit ? ` ${meta.unit}` : '';
+  return `${formatMetricValue(value, meta.decimals)}${unitSuffix}`;
+}
+
+function describeAlertRule(alert) {
+  return `${alert.alert_if_above ? '>=' : '<='} ${describeAlertValue(alert.metric, alert.threshold)}`;
+}
+
+// Advances one metric's lifecycle for a reading and reports which transition
+// needs a notification: 'raise', 'ongoing', 'clear' or null.
+// ok -> pending (crossing, waiting out min duration) -> raised -> ok (cleared past the hysteresis band)
+function advanceAlertState(prev, { value, threshold, alertIfAbove, tuning, nowMs, reminderMs }) {
+  const nowIso = new Date(nowMs).toISOString();
+  const crosses = alertIfAbove ? value >= threshold : value <= threshold;
+  const clears = alertIfAbove ? value < threshold - tuning.hysteresis : value > threshold + tuning.hysteresis;
+  const peakOf = (peak) => {
+    if (peak === null || peak === undefined) return value;
+    return alertIfAbove ? Math.max(peak, value) : Math.min(peak, value);
+  };
+  const next = { ...prev, last_value: value, threshold_value: threshold, updated_at: nowIso };
+
+  if (prev.state === ALERT_STATE_RAISED) {
+    if (clears) {
+      return {
+        next: { ...next, state: ALERT_STATE_OK, condition_since: null, raised_at: null, peak_value: null, cleared_at: nowIso },
+        transition: 'clear'
+      };
+    }
+    next.peak_value = peakOf(prev.peak_value);
+    const lastNotifiedMs = Date.parse(prev.last_notified_at || prev.raised_at || nowIso);
+    return { next, transition: nowMs - lastNotifiedMs >= reminderMs ? 'ongoing' : null };
+  }
+
+  if (!crosses) {
+    return { next: { ...next, state: ALERT_STATE_OK, condition_since: null, peak_value: null }, transition: null };
+  }
+
+  const isPending = prev.state === ALERT_STATE_PENDING && prev.condition_since;
+  next.state = ALERT_STATE_PENDING;
+  next.condition_since = isPending ? prev.condition_since : nowIso;
+  next.peak_value = isPending ? peakOf(prev.peak_value) : value;
+
+  const heldMs = nowMs - Date.parse(next.condition_since);
+  return { next, transition: heldMs >= tuning.min_duration_seconds * 1000 ? 'raise' : null };
+}
+
+function markRaised(next, nowIso) {
+  next.state = ALERT_STATE_RAISED;
+  next.raised_at = nowIso;
+  next.last_raised_at = nowIso;
+  next.last_notified_at = nowIso;
+  // A newer raise supersedes a cleared notice still held back by quiet hours.
+  next.held_notice = null;
+}
+
+// Cleared notices are not dropped during quiet hours: the event is kept on the
+// state row (held_notice) and sent by releaseHeldNotices once quiet hours end.
+function sendOrHoldNotice(events, next, canNotify, nowIso, event) {
+  if (canNotify) {
+    events.push(event);
+  } else {
+    next.held_notice = { ...event, held_at: nowIso };
+  }
+}
+
+async function loadHeldNotices(ownerId) {
+  const { data, error } = await supabase
+    .from('alert_states')
+    .select('*')
+    .eq('user_id', ownerId)
+    .not('held_notice', 'is', null);
+
+  if (!error) return data || [];
+  if (!isMissingTableError(error, 'alert_states')) {
+    console.error('[alerts] held notice fetch failed:', error.message);
+    throw error;
+  }
+  return [...memoryAlertStates.values()].filter((row) => row.user_id === ownerId && row.held_notice);
+}
+
+// Called every watchdog tick, so held notices go out within a minute of quiet
+// hours ending even when the device has not reported since.
+async function releaseHeldNotices(ownerId, prefs, nowMs) {
+  const rows = await loadHeldNotices(ownerId);
+  if (rows.length === 0) return [];
+
+  const nowIso = new Date(nowMs).toISOString();
+  const events = rows.map((row) => {
+    const { held_at: heldAt, ...event } = typeof row.held_notice === 'string' ? JSON.parse(row.held_notice) : row.held_notice;
+    const heldTime = getCurrentHHMM(prefs.timezone, new Date(heldAt || row.updated_at));
+    return { ...event, message: `${event.message.replace(/\.$/, '')} - held back by quiet hours since ${heldTime}` };
+  });
+  await saveAlertStates(rows.map((row) => ({ ...row, held_notice: null, updated_at: nowIso })));
+  return events;
+}
+
+// Rate rules compare the reading with the lowest (rise) or highest (fall)
+// value in the window; the extremes come from sensor_data buckets.
+const RATE_WINDOW_BUCKETS = 30;
+const RATE_WINDOW_CACHE_MS = 30 * 1000;
+const rateWindowCache = new Map();
+
+function getRateWindowExtremes(metric, deviceId, windowMinutes, nowMs) {
+  const key = `${metric}|${deviceId}|${windowMinutes}`;
+  const cached = rateWindowCache.get(key);
+  if (cached && nowMs - cached.at < RATE_WINDOW_CACHE_MS) return cached.promise;
+
+  const promise = fetchMetricBuckets({
+    column: METRIC_COLUMN_MAP[metric],
+    startIso: new Date(nowMs - windowMinutes * 60000).toISOString(),
+    endIso: new Date(nowMs).toISOString(),
+    bucketSeconds: Math.max(60, Math.ceil((windowMinutes * 60) / RATE_WINDOW_BUCKETS)),
+    device: deviceId
+  }).then((buckets) => {
+    const mins = buckets.map((b) => safeNumber(b.min_value)).filter(Number.isFinite);
+    const maxes = buckets.map((b) => safeNumber(b.max_value)).filter(Number.isFinite);
+    return mins.length > 0 ? { min: Math.min(...mins), max: Math.max(...maxes) } : null;
+  }).catch((err) => {
+    rateWindowCache.delete(key);
+    throw err;
+  });
+  rateWindowCache.set(key, { at: nowMs, promise });
+  return promise;
+}
+
+function describeRateWindow(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const rest = minutes % 60;
+  return rest === 0 ? `${minutes / 60}h` : `${Math.floor(minutes / 60)}h ${rest}m`;
+}
+
+function describeRateRule(rule) {
+  return `${rule.direction} >= ${describeAlertValue(rule.metric, rule.delta)} in ${describeRateWindow(rule.window_minutes)}`;
+}
+
+// The two temperature sensors should agree; a difference held for
+// DIVERGENCE_MIN_DURATION_SECONDS points at a failing or uncalibrated sensor.
+const DIVERGENCE_STATE_KEY = 'divergence:temperature';
+const DIVERGENCE_MIN_DURATION_SECONDS = 300;
+
+function evaluateTemperatureDivergence({ prev, reading, tolerance, canNotify, deviceSuffix, nowMs }) {
+  const bmp = safeNumber(reading?.bmp_temp);
+  const dht = safeNumber(reading?.dht_temp);
+  if (!Number.isFinite(bmp) || !Number.isFinite(dht)) return {};
+  if (tolerance <= 0 && prev.state === ALERT_STATE_OK) return {};
+
+  const difference = Math.abs(bmp - dht);
+  const { next, transition } = advanceAlertState(prev, {
+    value: difference,
+    // A disabled check (tolerance 0) clears whatever is still raised.
+    threshold: tolerance > 0 ? tolerance : Infinity,
+    alertIfAbove: true,
+    tuning: { hysteresis: tolerance * 0.25, min_duration_seconds: DIVERGENCE_MIN_DURATION_SECONDS },
+    nowMs,
+    reminderMs: Infinity
+  });
+  const changed = prev.state !== ALERT_STATE_OK || next.state !== ALERT_STATE_OK ? next : null;
+  const readings = `BMP ${describeAlertValue('bmp_temp', bmp)} vs DHT ${describeAlertValue('dht_temp', dht)}`;
+  const alert = { metric: 'bmp_temp', value: difference, threshold: tolerance, alert_if_above: true };
+
+  if (transition === 'raise' && canNotify) {
+    markRaised(next, new Date(nowMs).toISOString());
+    const message = `Temperature sensors disagree${deviceSuffix}: ${readings} ` +
+      `(difference ${difference.toFixed(1)} C, tolerance ${tolerance.toFixed(1)} C). Check calibration or sensor health.`;
+    return { changed, event: { ...alert, event: 'raised', kind: 'divergence.raised', type: 'alert', title: 'Sensor Disagreement: Temperature', message } };
+  }
+  if (transition === 'clear') {
+    const message = `Temperature sensors agree again${deviceSuffix}: ${readings} (difference ${difference.toFixed(1)} C)`;
+    const events = [];
+    sendOrHoldNotice(events, next, canNotify, new Date(nowMs).toISOString(), {
+      ...alert,
+      event: 'cleared',
+      kind: 'divergence.cleared',
+      type: 'alert_cleared',
+      title: 'Sensor Disagreement Cleared: Temperature',
+      message
+    });
+    return { changed, event: events[0] };
+  }
+  return { changed };
+}
+
+// Every reading is evaluated for every settings owner, so owners and their
+// settings are loaded once per ALERT_SETTINGS_CACHE_MS instead of per reading.
+// Settings writes in this process drop the cache straight away; there is no
+// cross-process invalidation, so another instance or a direct database edit is
+// only picked up once the entry expires (up to ALERT_SETTINGS_CACHE_MS later).
+const ALERT_SETTINGS_CACHE_MS = 10 * 1000;
+const alertSettingsCache = new Map();
+let alertOwnersCache = null;
+
+function invalidateAlertSettingsCache() {
+  alertSettingsCache.clear();
+  alertOwnersCache = null;
+}
+
+function getAlertOwners() {
+  if (alertOwnersCache && Date.now() - alertOwnersCache.at < ALERT_SETTINGS_CACHE_MS) return alertOwnersCache.promise;
+
+  const promise = listSettingsOwners().catch((err) => {
+    alertOwnersCache = null;
+    throw err;
+  });
+  alertOwnersCache = { at: Date.now(), promise };
+  return promise;
+}
+
+async function loadAlertSettings(userId) {
+  const thresholds = await getThresholdRows(userId);
+  const prefs = await getNotificationSettings(userId);
+  const app = await getEffectiveAppSettingsRow(userId);
+  return { thresholds, prefs, app, sensitivity: parseAnomalySensitivity(app.anomaly_sensitivity) };
+}
+
+// { thresholds, prefs, app, sensitivity } for one settings owner.
+function getAlertSettings(userId) {
+  const cached = alertSettingsCache.get(userId);
+  if (cached && Date.now() - cached.at < ALERT_SETTINGS_CACHE_MS) return cached.promise;
+
+  const promise = loadAlertSettings(userId).catch((err) => {
+    alertSettingsCache.delete(userId);
+    throw err;
+  });
+  alertSettingsCache.set(userId, { at: Date.now(), promise });
+  return promise;
+}
+
+async function evaluateThresholdAlertsForUser(userId, sensorData) {
+  const { thresholds, prefs, app, sensitivity } = await getAlertSettings(userId);
+  const quiet = isWithinQuietHours(prefs.quiet_hours);
+
+  const deviceId = normalizeDeviceId(sensorData?.device_id) || DEFAULT_DEVICE_ID;
+  const deviceSuffix = deviceId !== DEFAULT_DEVICE_ID ? ` (${deviceId})` : '';
+  const normalized = normalizeSensorData(sensorData);
+  const states = await loadAlertStates(userId, deviceId);
+  const nowMs = Date.now();
+  const nowIso = new Date(nowMs).toISOString();
+
+  const changed = [];
+  const events = [];
+  const thresholdRaised = new Set();
+  for (const row of thresholds) {
+    const threshold = safeNumber(row.threshold_value);
+    if (!Number.isFinite(threshold)) continue;
+
+    const value = safeNumber(normalized?.[row.metric]);
+    if (!Number.isFinite(value)) continue;
+
+    const prev = states.get(row.metric) || { user_id: userId, device_id: deviceId, metric: row.metric, state: ALERT_STATE_OK };
+    const alert = { metric: row.metric, device_id: deviceId, value, threshold, alert_if_above: !!row.alert_if_above };
+    const tuning = resolveAlertTuning(row);
+    const canNotify = !quiet || tuning.critical;
+    const cooldownMs = getCooldownMs(tuning.alert_rate || prefs.alert_rate);
+    const { next, transition } = advanceAlertState(prev, {
+      value,
+      threshold,
+      alertIfAbove: alert.alert_if_above,
+      tuning,
+      nowMs,
+      reminderMs: Math.max(cooldownMs, ONGOING_REMINDER_MIN_MS)
+    });
+    const label = getMetricMeta(row.metric).label;
+
+    const coolingDown = transition === 'raise' && canNotify && await isMetricCoolingDown({
+      ownerId: userId,
+      state: prev,
+      cooldownMs,
+      perDevice: prefs.alert_cooldown_per_device,
+      nowMs
+    });
+
+    if (transition === 'raise' && canNotify && !coolingDown) {
+      const message = `Threshold crossed${deviceSuffix} - ${label}: ${describeAlertValue(row.metric, value)} (${describeAlertRule(alert)})`;
+      markRaised(next, nowIso);
+      events.push({ ...alert, event: 'raised', kind: 'threshold.raised', type: 'alert', title: `Threshold Alert: ${label}`, message });
+    } else if (transition === 'ongoing' && canNotify) {
+      const lasted = formatDuration(nowMs - Date.parse(next.condition_since || next.raised_at));
+      const message = `Still beyond threshold${deviceSuffix} - ${label}: ${describeAlertValue(row.metric, value)} ` +
+        `(${describeAlertRule(alert)}) for ${lasted}, peak ${describeAlertValue(row.metric, next.peak_value)}`;
+      next.last_notified_at = nowIso;
+      events.push({ ...alert, event: 'ongoing', kind: 'threshold.ongoing', type: 'alert', title: `Threshold Alert (ongoing): ${label}`, message });
+    } else if (transition === 'clear') {
+      const lasted = formatDuration(nowMs - Date.parse(prev.condition_since || prev.raised_at || nowIso));
+      const message = `Back to normal${deviceSuffix} - ${label}: ${describeAlertValue(row.metric, value)} after ${lasted} ` +
+        `(peak ${describeAlertValue(row.metric, prev.peak_value)}, threshold ${describeAlertRule(alert)})`;
+      sendOrHoldNotice(events, next, canNotify, nowIso, {
+        ...alert,
+        event: 'cleared',
+        kind: 'threshold.cleared',
+        type: 'alert_cleared',
+        title: `Alert Cleared: ${label}`,
+        message,
+        peak: prev.peak_value
+      });
+    }
+
+    if (next.state === ALERT_STATE_RAISED) thresholdRaised.add(row.metric);
+    if (prev.state !== ALERT_STATE_OK || next.state !== ALERT_STATE_OK) changed.push(next);
+  }
+
+  // Rate rules share the lifecycle above; the "value" is the change over the window.
+  const tuningByMetric = new Map(thresholds.map((row) => [row.metric, resolveAlertTuning(row)]));
+  for (const rule of parseRateRules(app.rate_rules)) {
+    const value = safeNumber(normalized?.[rule.metric]);
+    if (!Number.isFinite(value)) continue;
+
+    let extremes;
+    try {
+      extremes = await getRateWindowExtremes(rule.metric, deviceId, rule.window_minutes, nowMs);
+    } catch (err) {
+      console.error(`[alerts] rate window fetch failed for ${rule.id}:`, err.message);
+      continue;
+    }
+    if (!extremes) continue;
+
+    const change = rule.direction === 'rise' ? value - extremes.min : extremes.max - value;
+    const stateKey = `rate:${rule.id}`;
+    const prev = states.get(stateKey) || { user_id: userId, device_id: deviceId, metric: stateKey, state: ALERT_STATE_OK };
+    const metricTuning = tuningByMetric.get(rule.metric) || resolveAlertTuning({ metric: rule.metric });
+    const tuning = { ...metricTuning, hysteresis: Math.min(metricTuning.hysteresis ?? 0, rule.delta / 2), min_duration_seconds: 0 };
+    const canNotify = !quiet || tuning.critical;
+    const cooldownMs = getCooldownMs(tuning.alert_rate || prefs.alert_rate);
+    const { next, transition } = advanceAlertState(prev, {
+      value: change,
+      threshold: rule.delta,
+      alertIfAbove: true,
+      tuning,
+      nowMs,
+      reminderMs: Math.max(cooldownMs, ONGOING_REMINDER_MIN_MS)
+    });
+    const label = getMetricMeta(rule.metric).label;
+    const moved = rule.direction === 'rise' ? 'rose' : 'fell';
+    const moving = rule.direction === 'rise' ? 'rising' : 'falling';
+    const windowText = describeRateWindow(rule.window_minutes);
+    const alert = {
+      metric: rule.metric,
+      device_id: deviceId,
+      value: change,
+      threshold: rule.delta,
+      alert_if_above: true,
+      rule
+    };
+
+    const coolingDown = transition === 'raise' && canNotify && await isMetricCoolingDown({
+      ownerId: userId,
+      state: prev,
+      cooldownMs,
+      perDevice: prefs.alert_cooldown_per_device,
+      nowMs
+    });
+
+    if (transition === 'raise' && canNotify && !coolingDown) {
+      const message = `${label} ${moved} ${describeAlertValue(rule.metric, change)} within ${windowText}${deviceSuffix}, ` +
+        `now ${describeAlertValue(rule.metric, value)} (rule: ${describeRateRule(rule)})`;
+      markRaised(next, nowIso);
+      events.push({ ...alert, event: 'raised', kind: 'rate.raised', type: 'alert', title: `Rate Alert: ${label} ${moving}`, message });
+    } else if (transition === 'ongoing' && canNotify) {
+      const message = `${label} still ${moving}${deviceSuffix}: ${describeAlertValue(rule.metric, change)} within ${windowText}, ` +
+        `now ${describeAlertValue(rule.metric, value)} (rule: ${describeRateRule(rule)})`;
+      next.last_notified_at = nowIso;
+      events.push({ ...alert, event: 'ongoing', kind: 'rate.ongoing', type: 'alert', title: `Rate Alert (ongoing): ${label} ${moving}`, message });
+    } else if (transition === 'clear') {
+      const message = `${label} steady again${deviceSuffix}: ${describeAlertValue(rule.metric, Math.max(0, change))} ` +
+        `change within ${windowText}, peak ${describeAlertValue(rule.metric, prev.peak_value)} (rule: ${describeRateRule(rule)})`;
+      sendOrHoldNotice(events, next, canNotify, nowIso, {
+        ...alert,
+        event: 'cleared',
+        kind: 'rate.cleared',
+        type: 'alert_cleared',
+        title: `Rate Alert Cleared: ${label}`,
+        message,
+        peak: prev.peak_value
+      });
+    }
+
+    if (prev.state !== ALERT_STATE_OK || next.state !== ALERT_STATE_OK) changed.push(next);
+  }
+
+  const divergence = evaluateTemperatureDivergence({
+    prev: states.get(DIVERGENCE_STATE_KEY) || { user_id: userId, device_id: deviceId, metric: DIVERGENCE_STATE_KEY, state: ALERT_STATE_OK },
+    reading: normalized,
+    tolerance: parseDivergenceTolerance(app.temp_divergence_tolerance),
+    canNotify: !quiet,
+    deviceSuffix,
+    nowMs
+  });
+  if (divergence.changed) changed.push(divergence.changed);
+  if (divergence.event) events.push({ ...divergence.event, device_id: deviceId });
+
+  await saveAlertStates(changed);
+
+  try {
+    events.push(...await detectAnomaliesForUser({
+      userId,
+      deviceId,
+      reading: normalized,
+      prefs,
+      sensitivity,
+      quiet,
+      tuningByMetric,
+      thresholdRaised,
+      nowMs
+    }));
+  } catch (err) {
+    console.error(`[anomalies] detection failed for ${userId}:`, err.message);
+  }
+
+  if (events.length === 0) return { userId, triggered: false, reason: quiet ? 'quiet-hours' : 'no-transition' };
+  return { userId, triggered: true, reason: 'lifecycle-transition', events };
+}
+
+// Evaluates and persists alert lifecycles; the returned events are delivered by
+// services/notifier.js (dispatchThresholdAlerts).
+async function processThresholdAlerts({ sensorData }) {
+  const owners = await getAlertOwners();
+  const results = [];
+  for (const userId of owners) {
+    try {
+      results.push(await evaluateThresholdAlertsForUser(userId, sensorData));
+    } catch (err) {
+      console.error(`[alerts] evaluation failed for ${userId}:`, err.message);
+      results.push({ userId, triggered: false, reason: 'error' });
+    }
+  }
+  return results;
+}
+
+// =====================================================
+// Anomaly detection (rolling hour-of-day baseline from sensor_data)
+// Runs next to the static thresholds; anomalies are stored per settings
+// owner so /api/graph-data can flag them.
+// =====================================================
+
+const ANOMALY_METRICS = Object.keys(METRIC_COLUMN_MAP);
+// |z| a reading needs to be flagged; 'off' disables detection for the metric.
+const ANOMALY_SENSITIVITY_Z = { off: null, low: 4, medium: 3, high: 2.5 };
+const DEFAULT_ANOMALY_SENSITIVITY = 'medium';
+const ANOMALY_BASELINE_DAYS = 14;
+const ANOMALY_MIN_BASELINE_DAYS = 5;
+const ANOMALY_BASELINE_TTL_MS = 60 * 60 * 1000;
+const ANOMALY_MIN_NOTIFY_INTERVAL_MS = 30 * 60 * 1000;
+const ANOMALY_RECORD_INTERVAL_MS = 60 * 1000;
+// Floor for the baseline spread, so hours that are usually very steady do not flag sensor noise.
+const ANOMALY_MIN_DEVIATION = {
+  bmp_temp: 0.3,
+  dht_temp: 0.3,
+  humidity: 2,
+  pressure: 0.5,
+  co2: 25,
+  uv: 0.3,
+  light_level: 3,
+  rain_percentage: 3,
+  dew_point: 0.5,
+  heat_index: 0.5,
+  absolute_humidity: 0.5
+};
+const MEMORY_ANOMALY_LIMIT = 1000;
+
+const anomalyBaselineCache = new Map();
+const anomalyLastRecordedAt = new Map();
+const anomalyLastNotifiedAt = new Map();
+// Fallback store when the sensor_anomalies table has not been migrated yet.
+const memoryAnomalies = [];
+
+// Stored shape -> full { metric: level } map; unknown metrics or levels fall back to the default.
+function parseAnomalySensitivity(raw) {
+  let stored = raw;
+  if (typeof raw === 'string') {
+    try {
+      stored = JSON.parse(raw);
+    } catch {
+      stored = {};
+    }
+  }
+  const result = {};
+  for (const metric of ANOMALY_METRICS) {
+    const level = stored && typeof stored === 'object' ? stored[metric] : undefined;
+    result[metric] = Object.hasOwn(ANOMALY_SENSITIVITY_Z, level) ? level : DEFAULT_ANOMALY_SENSITIVITY;
+  }
+  return result;
+}
+
+// Partial update from the thresholds API; throws 400 on unknown metrics or levels.
+function parseAnomalySensitivityPayload(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw makeHttpError(400, 'anomaly_sensitivity must be an object of metric: level');
+  }
+  const levels = Object.keys(ANOMALY_SENSITIVITY_Z);
+  const updates = {};
+  for (const [key, level] of Object.entries(input)) {
+    const metric = resolveMetricName(key);
+    if (!ANOMALY_METRICS.includes(metric)) throw makeHttpError(400, `Unsupported anomaly metric: ${metric}`);
+    const value = String(level || '').trim().toLowerCase();
+    if (!levels.includes(value)) {
+      throw makeHttpError(400, `anomaly_sensitivity.${metric} must be one of: ${levels.join(', ')}`);
+    }
+    updates[metric] = value;
+  }
+  return updates;
+}
+
+function getLocalHour(timezone, date) {
+  return Number(getCurrentHHMM(timezone, date).slice(0, 2));
+}
+
+// Per local hour of day: the mean of the hourly averages over the last
+// ANOMALY_BASELINE_DAYS, and a spread that adds day-to-day variation to the
+// variation within each hour ((max - min) / 4 approximates one deviation).
+async function computeAnomalyBaseline(metric, deviceId, timezone) {
+  const endMs = Math.floor(Date.now() / 3600000) * 3600000;
+  const buckets = await fetchMetricBuckets({
+    column: METRIC_COLUMN_MAP[metric],
+    startIso: new Date(endMs - ANOMALY_BASELINE_DAYS * DAY_MS).toISOString(),
+    endIso: new Date(endMs - 1).toISOString(),
+    bucketSeconds: 3600,
+    device: deviceId
+  });
+
+  const byHour = new Map();
+  for (const b of buckets) {
+    const avg = safeNumber(b.avg_value);
+    if (!Number.isFinite(avg)) continue;
+    const hour = getLocalHour(timezone, new Date(b.bucket_start));
+    const spread = (safeNumber(b.max_value, avg) - safeNumber(b.min_value, avg)) / 4;
+    if (!byHour.has(hour)) byHour.set(hour, []);
+    byHour.get(hour).push({ avg, spread });
+  }
+
+  const baseline = new Map();
+  for (const [hour, samples] of byHour) {
+    if (samples.length < ANOMALY_MIN_BASELINE_DAYS) continue;
+    const mean = samples.reduce((sum, item) => sum + item.avg, 0) / samples.length;
+    const betweenDays = samples.reduce((sum, item) => sum + (item.avg - mean) ** 2, 0) / (samples.length - 1);
+    const withinHour = samples.reduce((sum, item) => sum + item.spread ** 2, 0) / samples.length;
+    baseline.set(hour, { mean, deviation: Math.sqrt(betweenDays + withinHour), days: samples.length });
+  }
+  return baseline;
+}
+
+// Cached per metric x device x timezone; recomputed at most once an hour.
+function getAnomalyBaseline(metric, deviceId, timezone) {
+  const key = `${metric}|${deviceId}|${timezone}`;
+  const cached = anomalyBaselineCache.get(key);
+  if (cached && Date.now() - cached.at < ANOMALY_BASELINE_TTL_MS) return cached.promise;
+
+  const promise = computeAnomalyBaseline(metric, deviceId, timezone).catch((err) => {
+    anomalyBaselineCache.delete(key);
+    throw err;
+  });
+  anomalyBaselineCache.set(key, { at: Date.now(), promise });
+  return promise;
+}
+
+async function recordAnomaly(anomaly) {
+  const { error } = await supabase.from('sensor_anomalies').insert([anomaly]);
+  if (!error) return;
+
+  if (!isMissingTableError(error, 'sensor_anomalies')) {
+    console.error('[anomalies] insert failed; keeping it in memory:', error.message);
+  }
+  memoryAnomalies.push(anomaly);
+  if (memoryAnomalies.length > MEMORY_ANOMALY_LIMIT) memoryAnomalies.shift();
+}
+
+// Last notified anomaly for the key; read from the table once after a restart.
+async function getLastAnomalyNotifiedAt(userId, deviceId, metric) {
+  const key = `${userId}|${deviceId}|${metric}`;
+  if (anomalyLastNotifiedAt.has(key)) return anomalyLastNotifiedAt.get(key);
+
+  const { data, error } = await supabase
+    .from('sensor_anomalies')
+    .select('reading_at')
+    .eq('user_id', userId)
+    .eq('device_id', deviceId)
+    .eq('metric', metric)
+    .eq('notified', true)
+    .order('reading_at', { ascending: false })
+    .limit(1);
+
+  const lastMs = !error && data?.[0] ? Date.parse(data[0].reading_at) : 0;
+  anomalyLastNotifiedAt.set(key, lastMs);
+  return lastMs;
+}
+
+// Anomalies for the graph: [{ reading_at, z_score }]; device null covers every device.
+async function getAnomaliesInRange({ ownerId, metric, device, startIso, endIso }) {
+  let query = supabase
+    .from('sensor_anomalies')
+    .select('reading_at, z_score')
+    .eq('user_id', ownerId)
+    .eq('metric', metric)
+    .gte('reading_at', startIso)
+    .lte('reading_at', endIso)
+    .order('reading_at', { ascending: false })
+    .limit(1000);
+  if (device) query = query.eq('device_id', device);
+
+  // Newest first so a busy range keeps its latest anomalies; returned oldest first.
+  const { data, error } = await query;
+  if (error) {
+    if (!isMissingTableError(error, 'sensor_anomalies')) {
+      console.warn('[anomalies] fetch failed:', error.message);
+      return [];
+    }
+    return memoryAnomalies.filter((row) => row.user_id === ownerId &&
+      row.metric === metric &&
+      (!device || row.device_id === device) &&
+      row.reading_at >= startIso &&
+      row.reading_at <= endIso);
   }
-  return Array.isArray(data) && data.length > 0;
+  return (data || []).reverse();
 }
 
-async function processThresholdAlerts({ sensorData }) {
-  const thresholds = await getThresholdRows();
-  const prefs = await getNotificationSettings();
-  const times = [...prefs.report_times].sort();
-  const start = times[0] || '00:00';
-  const end = times[times.length - 1] || '23:59';
-  const nowHHMM = getCurrentHHMM(prefs.timezone);
-
-  if (!isWithinWindow(nowHHMM, start, end)) {
-    return { triggered: false, reason: 'outside-preferred-time-window' };
+// Returns notifier events for anomalies this owner should hear about now.
+// Every anomaly is recorded (at most once a minute per metric) even when quiet
+// hours or the notify interval hold back the notification. Metrics in
+// thresholdRaised already have a threshold alert out and are not notified twice.
+async function detectAnomaliesForUser({ userId, deviceId, reading, prefs, sensitivity, quiet, tuningByMetric, thresholdRaised = new Set(), nowMs }) {
+  const readingMs = Number.isFinite(Date.parse(reading?.created_at)) ? Date.parse(reading.created_at) : nowMs;
+  const readingAt = new Date(readingMs);
+  const hour = getLocalHour(prefs.timezone, readingAt);
+  const deviceSuffix = deviceId !== DEFAULT_DEVICE_ID ? ` (${deviceId})` : '';
+
+  const events = [];
+  for (const metric of ANOMALY_METRICS) {
+    const zLimit = ANOMALY_SENSITIVITY_Z[sensitivity[metric]];
+    const value = safeNumber(reading?.[metric]);
+    if (!zLimit || !Number.isFinite(value)) continue;
+
+    const baseline = (await getAnomalyBaseline(metric, deviceId, prefs.timezone)).get(hour);
+    if (!baseline) continue;
+    const deviation = Math.max(baseline.deviation, ANOMALY_MIN_DEVIATION[metric] || 0);
+    const zScore = (value - baseline.mean) / deviation;
+    if (Math.abs(zScore) < zLimit) continue;
+
+    const key = `${userId}|${deviceId}|${metric}`;
+    const tuning = tuningByMetric.get(metric);
+    const notifyIntervalMs = Math.max(getCooldownMs(tuning?.alert_rate || prefs.alert_rate), ANOMALY_MIN_NOTIFY_INTERVAL_MS);
+    const notify = !thresholdRaised.has(metric) && (!quiet || !!tuning?.critical) &&
+      nowMs - await getLastAnomalyNotifiedAt(userId, deviceId, metric) >= notifyIntervalMs;
+    if (!notify && nowMs - (anomalyLastRecordedAt.get(key) || 0) < ANOMALY_RECORD_INTERVAL_MS) continue;
+
+    anomalyLastRecordedAt.set(key, nowMs);
+    if (notify) anomalyLastNotifiedAt.set(key, nowMs);
+    await recordAnomaly({
+      user_id: userId,
+      device_id: deviceId,
+      metric,
+      value,
+      expected: baseline.mean,
+      deviation,
+      z_score: zScore,
+      sensitivity: sensitivity[metric],
+      notified: notify,
+      reading_at: readingAt.toISOString(),
+      created_at: new Date(nowMs).toISOString()
+    });
+    if (!notify) continue;
+
+    const label = getMetricMeta(metric).label;
+    const sign = zScore > 0 ? '+' : '';
+    events.push({
+      metric,
+      device_id: deviceId,
+      value,
+      expected: baseline.mean,
+      z_score: Math.round(zScore * 100) / 100,
+      event: 'anomaly',
+      kind: 'anomaly.detected',
+      type: 'anomaly',
+      title: `Anomaly: ${label}`,
+      message: `Unusual reading${deviceSuffix} - ${label}: ${describeAlertValue(metric, value)}, ` +
+        `typical around ${String(hour).padStart(2, '0')}:00 is ${describeAlertValue(metric, baseline.mean)} (${sign}${zScore.toFixed(1)} sd)`
+    });
   }
+  return events;
+}
+
+// =====================================================
+// Sensor watchdog (device offline, metrics stuck at one value)
+// Device checks run once per tick; every settings owner then gets its own
+// raise / recover lifecycle in alert_states ('offline', 'stuck:<metric>').
+// =====================================================
+
+const SENSOR_OFFLINE_MINUTES = Math.max(1, Number(process.env.SENSOR_OFFLINE_MINUTES) || 10);
+const SENSOR_STUCK_MINUTES = Math.max(10, Number(process.env.SENSOR_STUCK_MINUTES) || 120);
+const STUCK_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+// The stuck window is split into this many buckets; each must hold readings.
+const STUCK_WINDOW_BUCKETS = 6;
+// Values a healthy sensor can hold for hours (dry, night, dark or full light).
+const STUCK_EXEMPT_VALUES = {
+  rain_percentage: [0, 100],
+  uv: [0],
+  light_level: [0, 100]
+};
+const OFFLINE_STATE_KEY = 'offline';
+const STUCK_STATE_PREFIX = 'stuck:';
+
+// Latest stuck check per device: [{ metric, value }].
+const stuckMetricsByDevice = new Map();
+let lastStuckCheckMs = 0;
+
+// Age and health flags for a latest reading (/api/data, Telegram /status).
+function describeSensorHealth(reading, nowMs = Date.now()) {
+  const createdMs = Date.parse(reading?.created_at);
+  const ageSeconds = Number.isFinite(createdMs) ? Math.max(0, Math.round((nowMs - createdMs) / 1000)) : null;
+  const deviceId = normalizeDeviceId(reading?.device_id) || DEFAULT_DEVICE_ID;
+  return {
+    stale: ageSeconds === null || ageSeconds > SENSOR_OFFLINE_MINUTES * 60,
+    age_seconds: ageSeconds,
+    stuck_metrics: (stuckMetricsByDevice.get(deviceId) || []).map((item) => item.metric)
+  };
+}
+
+async function listWatchedDevices() {
+  const devices = await getDevices();
+  if (devices.length > 0) return devices;
+
+  // Without a devices table, fall back to the newest reading.
+  const latest = await getLatestSensorData();
+  return latest ? [{ device_id: latest.device_id || DEFAULT_DEVICE_ID, last_seen_at: latest.created_at }] : [];
+}
+
+async function findStuckMetrics(deviceId, nowMs) {
+  const windowSeconds = SENSOR_STUCK_MINUTES * 60;
+  const stuck = [];
+  for (const [metric, column] of Object.entries(METRIC_COLUMN_MAP)) {
+    // Derived metrics follow their inputs and would only repeat those flags.
+    if (DERIVED_METRICS.includes(metric)) continue;
+    const buckets = await fetchMetricBuckets({
+      column,
+      startIso: new Date(nowMs - windowSeconds * 1000).toISOString(),
+      endIso: new Date(nowMs).toISOString(),
+      bucketSeconds: Math.ceil(windowSeconds / STUCK_WINDOW_BUCKETS),
+      device: deviceId
+    });
 
-  const cooldownMs = getCooldownMs(prefs.alert_rate);
-  if (await wasAlertRecentlySent(cooldownMs)) {
-    return { triggered: false, reason: 'cooldown-active' };
+    const filled = buckets.filter((b) => safeNumber(b.sample_count, 0) > 0);
+    if (filled.length < STUCK_WINDOW_BUCKETS) continue;
+    const min = Math.min(...filled.map((b) => safeNumber(b.min_value)));
+    const max = Math.max(...filled.map((b) => safeNumber(b.max_value)));
+    if (!Number.isFinite(min) || min !== max) continue;
+    if ((STUCK_EXEMPT_VALUES[metric] || []).includes(min)) continue;
+    stuck.push({ metric, value: min });
   }
+  return stuck;
+}
 
-  const normalized = normalizeSensorData(sensorData);
-  const fired = [];
-  for (const row of thresholds) {
-    const threshold = safeNumber(row.threshold_value);
-    if (!Number.isFinite(threshold)) continue;
+function describeDevice(deviceId) {
+  return deviceId === DEFAULT_DEVICE_ID ? 'the sensor' : `device ${deviceId}`;
+}
 
-    let value = null;
-    if (row.metric === 'aqi') value = safeNumber(normalized?.aqi);
-    else if (row.metric === 'uv') value = safeNumber(normalized?.uv);
-    else if (row.metric === 'bmp_temp') value = safeNumber(normalized?.bmp_temp);
-    else if (row.metric === 'pressure') value = safeNumber(normalized?.pressure);
-    else if (row.metric === 'rain_percentage') value = safeNumber(normalized?.rain_percentage);
-    if (!Number.isFinite(value)) continue;
+// Conditions for one device: [{ key, kind, metric, active, raise: { title, message }, clear: { title, message } }].
+// Stuck conditions are only listed when this tick ran the stuck check.
+function buildWatchdogConditions(check, states, prefs, nowMs) {
+  const { device_id: deviceId, lastSeenMs, offline, stuck } = check;
+  const deviceSuffix = deviceId !== DEFAULT_DEVICE_ID ? ` (${deviceId})` : '';
+  const offlineState = states.get(OFFLINE_STATE_KEY);
+  const offlineSinceMs = Date.parse(offlineState?.condition_since);
+  const lastSeen = Number.isFinite(lastSeenMs)
+    ? `${formatDuration(nowMs - lastSeenMs)} ago (${getCurrentHHMM(prefs.timezone, new Date(lastSeenMs))} ${prefs.timezone})`
+    : 'never';
+
+  const conditions = [{
+    key: OFFLINE_STATE_KEY,
+    kind: 'offline',
+    metric: null,
+    active: offline,
+    since: Number.isFinite(lastSeenMs) ? new Date(lastSeenMs).toISOString() : null,
+    raise: {
+      title: `Sensor Offline${deviceSuffix}`,
+      message: `No reading from ${describeDevice(deviceId)} within ${SENSOR_OFFLINE_MINUTES} min. Last reading ${lastSeen}.`
+    },
+    clear: {
+      title: `Sensor Recovered${deviceSuffix}`,
+      message: Number.isFinite(offlineSinceMs)
+        ? `Readings from ${describeDevice(deviceId)} resumed after ${formatDuration(nowMs - offlineSinceMs)} without data.`
+        : `Readings from ${describeDevice(deviceId)} resumed.`
+    }
+  }];
+
+  if (!stuck) return conditions;
+  const stuckByMetric = new Map(stuck.map((item) => [item.metric, item]));
+  const metrics = new Set([
+    ...stuckByMetric.keys(),
+    ...[...states.keys()].filter((key) => key.startsWith(STUCK_STATE_PREFIX)).map((key) => key.slice(STUCK_STATE_PREFIX.length))
+  ]);
+  for (const metric of metrics) {
+    const label = getMetricMeta(metric).label;
+    const item = stuckByMetric.get(metric);
+    conditions.push({
+      key: `${STUCK_STATE_PREFIX}${metric}`,
+      kind: 'stuck',
+      metric,
+      active: !!item,
+      value: item?.value ?? null,
+      raise: item && {
+        title: `Sensor Stuck: ${label}${deviceSuffix}`,
+        message: `${label} has read ${describeAlertValue(metric, item.value)} without change for over ` +
+          `${describeRateWindow(SENSOR_STUCK_MINUTES)}. The sensor may be faulty.`
+      },
+      clear: {
+        title: `Sensor Stuck Cleared: ${label}${deviceSuffix}`,
+        message: `${label} readings are changing again.`
+      }
+    });
+  }
+  return conditions;
+}
 
-    const crosses = row.alert_if_above ? value >= threshold : value <= threshold;
-    if (crosses) fired.push({ metric: row.metric, value, threshold, alert_if_above: !!row.alert_if_above });
+async function evaluateWatchdogForUser(userId, checks, nowMs) {
+  const { prefs } = await getAlertSettings(userId);
+  const quiet = isWithinQuietHours(prefs.quiet_hours);
+  const nowIso = new Date(nowMs).toISOString();
+
+  const changed = [];
+  const events = [];
+  for (const check of checks) {
+    const states = await loadAlertStates(userId, check.device_id);
+    for (const condition of buildWatchdogConditions(check, states, prefs, nowMs)) {
+      const prev = states.get(condition.key) || { user_id: userId, device_id: check.device_id, metric: condition.key, state: ALERT_STATE_OK };
+      const raised = prev.state === ALERT_STATE_RAISED;
+      const base = { device_id: check.device_id, metric: condition.metric, value: condition.value ?? null };
+
+      // Raises wait for the first tick after quiet hours; recoveries are held
+      // on the state row and sent by releaseHeldNotices then.
+      if (condition.active && !raised && !quiet) {
+        const next = {
+          ...prev,
+          condition_since: condition.since || nowIso,
+          last_value: condition.value ?? null,
+          updated_at: nowIso
+        };
+        markRaised(next, nowIso);
+        changed.push(next);
+        const event = condition.key === OFFLINE_STATE_KEY ? 'offline' : 'stuck';
+        events.push({ ...base, event, kind: `${condition.kind}.raised`, type: 'alert', ...condition.raise });
+      } else if (!condition.active && raised) {
+        const next = { ...prev, state: ALERT_STATE_OK, condition_since: null, raised_at: null, cleared_at: nowIso, updated_at: nowIso };
+        const event = condition.key === OFFLINE_STATE_KEY ? 'recovered' : 'unstuck';
+        sendOrHoldNotice(events, next, !quiet, nowIso, { ...base, event, kind: `${condition.kind}.cleared`, type: 'alert_cleared', ...condition.clear });
+        changed.push(next);
+      }
+    }
   }
 
-  if (fired.length === 0) return { triggered: false, reason: 'no-threshold-crossing' };
+  await saveAlertStates(changed);
+  if (!quiet) events.push(...await releaseHeldNotices(userId, prefs, nowMs));
+  if (events.length === 0) return { userId, triggered: false, reason: quiet ? 'quiet-hours' : 'no-transition' };
+  return { userId, triggered: true, reason: 'watchdog', events };
+}
 
-  const parts = fired.map((a) => {
-    const meta = getMetricMeta(a.metric);
-    const valueText = formatMetricValue(a.value, meta.decimals);
-    const thresholdText = formatMetricValue(a.threshold, meta.decimals);
-    const unitSuffix = meta.unit ? ` ${meta.unit}` : '';
-    const rule = a.alert_if_above ? '>=' : '<=';
-    return `${meta.label}: ${valueText}${unitSuffix} (${rule} ${thresholdText}${unitSuffix})`;
-  });
-  const message = `Threshold crossed - ${parts.join(', ')}`;
-  await insertWebNotification('Threshold Alert', message, 'alert');
+// Run periodically; the returned events are delivered like threshold alerts
+// (services/notifier.js dispatchThresholdAlerts).
+async function processSensorWatchdog() {
+  const nowMs = Date.now();
+  const runStuckCheck = nowMs - lastStuckCheckMs >= STUCK_CHECK_INTERVAL_MS;
+  if (runStuckCheck) lastStuckCheckMs = nowMs;
+
+  const checks = [];
+  for (const device of await listWatchedDevices()) {
+    const lastSeenMs = Date.parse(device.last_seen_at);
+    const offline = !Number.isFinite(lastSeenMs) || nowMs - lastSeenMs > SENSOR_OFFLINE_MINUTES * 60000;
+    let stuck = null;
+    if (offline) {
+      stuckMetricsByDevice.delete(device.device_id);
+    } else if (runStuckCheck) {
+      try {
+        stuck = await findStuckMetrics(device.device_id, nowMs);
+        stuckMetricsByDevice.set(device.device_id, stuck);
+      } catch (err) {
+        console.error(`[watchdog] stuck check failed for ${device.device_id}:`, err.message);
+      }
+    }
+    checks.push({ device_id: device.device_id, lastSeenMs, offline, stuck });
+  }
+  if (checks.length === 0) return [];
 
-  return { triggered: true, reason: 'threshold-crossed', message, alerts: fired };
+  const results = [];
+  for (const userId of await getAlertOwners()) {
+    try {
+      results.push(await evaluateWatchdogForUser(userId, checks, nowMs));
+    } catch (err) {
+      console.error(`[watchdog] evaluation failed for ${userId}:`, err.message);
+      results.push({ userId, triggered: false, reason: 'error' });
+    }
+  }
+  return results;
 }
 
 // =====================================================
 // Telegram subscribers (broadcast)
 // =====================================================
 
-async function upsertTelegramSubscriber({ chatId, firstName, username, isSubscribed = true }) {
+// userId binds the chat to a dashboard user; omit it to keep the current binding.
+async function upsertTelegramSubscriber({ chatId, firstName, username, isSubscribed = true, userId }) {
   const numericChatId = Number(chatId);
   if (!Number.isFinite(numericChatId)) return false;
 
@@ -846,6 +3610,7 @@ async function upsertTelegramSubscriber({ chatId, firstName, username, isSubscri
     is_subscribed: !!isSubscribed,
     subscribed_at: new Date().toISOString()
   };
+  if (userId !== undefined) payload.user_id = userId ? normalizeUserId(userId) : null;
 
   const { error } = await supabase
     .from('telegram_subscribers')
@@ -879,23 +3644,505 @@ async function setTelegramSubscription(chatId, isSubscribed) {
   return true;
 }
 
-async function getActiveTelegramSubscribers() {
+async function getTelegramSubscriber(chatId) {
+  const numericChatId = Number(chatId);
+  if (!Number.isFinite(numericChatId)) return null;
+
   const { data, error } = await supabase
     .from('telegram_subscribers')
-    .select('chat_id')
+    .select('*')
+    .eq('chat_id', numericChatId)
+    .maybeSingle();
+
+  if (error) {
+    if (isMissingTableError(error, 'telegram_subscribers')) return null;
+    console.error('[telegram_subscribers] lookup failed:', error.message);
+    return null;
+  }
+  return data || null;
+}
+
+// Chat ids that receive the alerts and reports of this settings owner.
+// Like web push, global messages reach every chat whose user has no settings of their own.
+async function getActiveTelegramSubscribers(ownerId = DEFAULT_USER_ID) {
+  const owner = normalizeUserId(ownerId);
+  let query = supabase
+    .from('telegram_subscribers')
+    .select('chat_id, user_id')
     .eq('is_subscribed', true);
 
+  if (owner !== DEFAULT_USER_ID) query = query.eq('user_id', owner);
+
+  const { data, error } = await query;
+
   if (error) {
     if (isMissingTableError(error, 'telegram_subscribers')) return [];
     console.error('[telegram_subscribers] fetch failed:', error.message);
     return [];
   }
 
-  return (data || [])
+  let rows = data || [];
+  if (owner === DEFAULT_USER_ID) {
+    try {
+      const customUsers = new Set(await listCustomSettingsUserIds());
+      rows = rows.filter((row) => !row.user_id || !customUsers.has(normalizeUserId(row.user_id)));
+    } catch (err) {
+      console.warn('[telegram_subscribers] custom user lookup failed; sending to all:', err.message);
+    }
+  }
+
+  return rows
     .map((row) => Number(row.chat_id))
     .filter((id) => Number.isFinite(id));
 }
 
+async function getTelegramChatsForUser(userId) {
+  const { data, error } = await supabase
+    .from('telegram_subscribers')
+    .select('chat_id, first_name, username, is_subscribed, subscribed_at')
+    .eq('user_id', normalizeUserId(userId))
+    .order('subscribed_at', { ascending: false });
+
+  if (error) {
+    if (isMissingTableError(error, 'telegram_subscribers')) return [];
+    console.error('[telegram_subscribers] list failed:', error.message);
+    throw error;
+  }
+  return data || [];
+}
+
+// Unlinks and unsubscribes a chat; only the user it is bound to may do this.
+async function unlinkTelegramChat(chatId, userId) {
+  const numericChatId = Number(chatId);
+  if (!Number.isFinite(numericChatId)) throw makeHttpError(400, 'Invalid chat id');
+
+  const { data, error } = await supabase
+    .from('telegram_subscribers')
+    .update({ user_id: null, is_subscribed: false })
+    .eq('chat_id', numericChatId)
+    .eq('user_id', normalizeUserId(userId))
+    .select('chat_id');
+
+  if (error) {
+    console.error('[telegram_subscribers] unlink failed:', error.message);
+    throw error;
+  }
+  if (!data || data.length === 0) throw makeHttpError(404, 'Chat is not linked to this user');
+  return true;
+}
+
+// =====================================================
+// Notification outbox (one delivery row per notification x channel x recipient)
+// Rows are sent and retried by services/notificationOutbox.js.
+// =====================================================
+
+const DELIVERY_PENDING = 'pending';
+const DELIVERY_SENDING = 'sending';
+const DELIVERY_DELIVERED = 'delivered';
+const DELIVERY_FAILED = 'failed';
+
+// A claimed row stays 'sending' until the worker settles it; if the worker dies,
+// the row becomes due again once the lease runs out.
+const DELIVERY_LEASE_MS = 10 * 60 * 1000;
+
+// Fallback store when the notification_deliveries table has not been migrated yet.
+const memoryDeliveries = new Map();
+let memoryDeliverySeq = 0;
+
+function isTelegramEnabled() {
+  return !!process.env.TELEGRAM_BOT_TOKEN;
+}
+
+// Recipients are resolved when the notification is created, so later
+// subscription changes do not alter who a past notification was meant for.
+async function resolveDeliveryTargets(ownerId) {
+  const targets = [];
+
+  if (getVapidConfigFromEnv()) {
+    for (const sub of await getActivePushSubscriptions(ownerId)) {
+      targets.push({ channel: 'web_push', recipient: sub.endpoint });
+    }
+  }
+
+  if (isEmailConfigured()) {
+    const { email_recipients: emails } = await getNotificationSettings(ownerId);
+    for (const email of emails) targets.push({ channel: 'email', recipient: email });
+  }
+
+  if (isTelegramEnabled()) {
+    let chats = await getActiveTelegramSubscribers(ownerId);
+    // TELEGRAM_CHAT_ID is the fallback for global messages when nobody has subscribed.
+    if (chats.length === 0 && ownerId === DEFAULT_USER_ID && process.env.TELEGRAM_CHAT_ID) {
+      chats = [process.env.TELEGRAM_CHAT_ID];
+    }
+    for (const chatId of chats) targets.push({ channel: 'telegram', recipient: String(chatId) });
+  }
+
+  return targets;
+}
+
+async function enqueueNotificationDeliveries({ notificationId, userId, content }) {
+  const owner = normalizeUserId(userId);
+  const targets = await resolveDeliveryTargets(owner);
+  if (targets.length === 0) return [];
+
+  const now = new Date().toISOString();
+  const rows = targets.map((target) => ({
+    notification_id: notificationId,
+    user_id: owner,
+    channel: target.channel,
+    recipient: target.recipient,
+    status: DELIVERY_PENDING,
+    attempts: 0,
+    payload: content,
+    next_attempt_at: now,
+    created_at: now,
+    updated_at: now
+  }));
+
+  const { data, error } = await supabase
+    .from('notification_deliveries')
+    .insert(rows)
+    .select('*');
+
+  if (error) {
+    if (!isMissingTableError(error, 'notification_deliveries')) {
+      console.error('[outbox] enqueue failed; keeping deliveries in memory:', error.message);
+    }
+    return rows.map((row) => {
+      const stored = { ...row, id: `mem-${++memoryDeliverySeq}` };
+      memoryDeliveries.set(stored.id, stored);
+      return stored;
+    });
+  }
+  return data || [];
+}
+
+function isDeliveryDue(row, nowIso) {
+  return (row.status === DELIVERY_PENDING || row.status === DELIVERY_SENDING) && row.next_attempt_at <= nowIso;
+}
+
+// Claims up to limit due rows for this worker: status becomes 'sending' and
+// next_attempt_at moves to the end of the lease. The update repeats the due
+// filter, so a row another worker claimed first is not returned here.
+async function claimDueDeliveries(limit = 50) {
+  const nowIso = new Date().toISOString();
+  const leaseIso = new Date(Date.now() + DELIVERY_LEASE_MS).toISOString();
+  const lease = { status: DELIVERY_SENDING, next_attempt_at: leaseIso, updated_at: nowIso };
+
+  const claimedInMemory = [...memoryDeliveries.values()]
+    .filter((row) => isDeliveryDue(row, nowIso))
+    .slice(0, limit)
+    .map((row) => {
+      const claimed = { ...row, ...lease };
+      memoryDeliveries.set(row.id, claimed);
+      return claimed;
+    });
+
+  const { data: due, error } = await supabase
+    .from('notification_deliveries')
+    .select('id')
+    .in('status', [DELIVERY_PENDING, DELIVERY_SENDING])
+    .lte('next_attempt_at', nowIso)
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    if (!isMissingTableError(error, 'notification_deliveries')) {
+      console.error('[outbox] fetch due deliveries failed:', error.message);
+    }
+    return claimedInMemory;
+  }
+  if (!due || due.length === 0) return claimedInMemory;
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('notification_deliveries')
+    .update(lease)
+    .in('id', due.map((row) => row.id))
+    .in('status', [DELIVERY_PENDING, DELIVERY_SENDING])
+    .lte('next_attempt_at', nowIso)
+    .select('*');
+
+  if (claimError) {
+    console.error('[outbox] claim due deliveries failed:', claimError.message);
+    return claimedInMemory;
+  }
+  const rows = (claimed || []).sort((a, b) => a.id - b.id);
+  return [...claimedInMemory, ...rows];
+}
+
+async function updateDelivery(id, fields) {
+  const update = { ...fields, updated_at: new Date().toISOString() };
+
+  if (memoryDeliveries.has(id)) {
+    const row = { ...memoryDeliveries.get(id), ...update };
+    // Finished in-memory rows are dropped; there is no table to show them from.
+    if (row.status === DELIVERY_PENDING || row.status === DELIVERY_SENDING) memoryDeliveries.set(id, row);
+    else memoryDeliveries.delete(id);
+    return;
+  }
+
+  const { error } = await supabase
+    .from('notification_deliveries')
+    .update(update)
+    .eq('id', id);
+
+  if (error) console.error('[outbox] delivery update failed:', error.message);
+}
+
+// Push endpoints are long capability URLs; show only enough to tell them apart.
+function maskDeliveryRecipient(channel, recipient) {
+  if (channel !== 'web_push') return recipient;
+  try {
+    const url = new URL(recipient);
+    return `${url.host}/...${recipient.slice(-8)}`;
+  } catch {
+    return `...${String(recipient).slice(-8)}`;
+  }
+}
+
+async function getNotificationDeliveries(notificationId, userId) {
+  const id = Number(notificationId);
+  if (!Number.isInteger(id) || id <= 0) throw makeHttpError(400, 'Invalid notification id');
+  const owner = await resolveSettingsOwner(userId);
+
+  const { data, error } = await supabase
+    .from('notification_deliveries')
+    .select('id, channel, recipient, status, attempts, last_error, next_attempt_at, delivered_at, created_at, updated_at')
+    .eq('notification_id', id)
+    .eq('user_id', owner)
+    .order('id', { ascending: true });
+
+  if (error) {
+    if (isMissingTableError(error, 'notification_deliveries')) {
+      return { notification_id: id, summary: { delivered: 0, failed: 0, pending: 0, sending: 0 }, deliveries: [] };
+    }
+    console.error('[outbox] deliveries fetch failed:', error.message);
+    throw error;
+  }
+
+  const deliveries = (data || []).map((row) => ({
+    ...row,
+    recipient: maskDeliveryRecipient(row.channel, row.recipient)
+  }));
+  const summary = { delivered: 0, failed: 0, pending: 0, sending: 0 };
+  for (const row of deliveries) summary[row.status] = (summary[row.status] || 0) + 1;
+  return { notification_id: id, summary, deliveries };
+}
+
+// =====================================================
+// Outbound webhooks (registry; delivery lives in services/webhooks.js)
+// =====================================================
+
+const WEBHOOK_EVENTS = ['alert.raised', 'anomaly.detected', 'report.sent', 'reading.ingested'];
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+const MAX_WEBHOOKS_PER_USER = 20;
+
+function newWebhookSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Never hand the signing secret back after creation; show enough to tell secrets apart.
+function toPublicWebhook(row, { includeSecret = false } = {}) {
+  const { secret, ...rest } = row;
+  return {
+    ...rest,
+    events: Array.isArray(row.events) ? row.events : [],
+    secret_preview: secret ? `...${String(secret).slice(-4)}` : null,
+    ...(includeSecret ? { secret } : {})
+  };
+}
+
+// Validates create/update input; partial: true only checks the fields present.
+function parseWebhookPayload(payload, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || payload?.url !== undefined) {
+    let url;
+    try {
+      url = new URL(String(payload?.url || '').trim());
+    } catch {
+      throw makeHttpError(400, 'url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw makeHttpError(400, 'url must be an absolute http(s) URL');
+    }
+    fields.url = url.toString();
+  }
+
+  if (!partial || payload?.events !== undefined) {
+    const events = Array.isArray(payload?.events) ? [...new Set(payload.events.map(String))] : [];
+    const unknown = events.filter((e) => !WEBHOOK_EVENTS.includes(e));
+    if (events.length === 0 || unknown.length > 0) {
+      throw makeHttpError(400, `events must list one or more of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    fields.events = events;
+  }
+
+  if (payload?.format !== undefined || !partial) {
+    const format = String(payload?.format || 'json').trim().toLowerCase();
+    if (!WEBHOOK_FORMATS.includes(format)) {
+      throw makeHttpError(400, `format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+    }
+    fields.format = format;
+  }
+
+  if (payload?.description !== undefined) {
+    fields.description = String(payload.description || '').trim().slice(0, 200) || null;
+  }
+
+  if (payload?.is_active !== undefined) {
+    if (typeof payload.is_active !== 'boolean') throw makeHttpError(400, 'is_active must be a boolean');
+    fields.is_active = payload.is_active;
+  }
+
+  return fields;
+}
+
+// Receivers must resolve to public addresses; delivery re-checks before each send.
+async function assertPublicWebhookUrl(url) {
+  try {
+    await assertPublicUrl(url);
+  } catch (err) {
+    const reason = err.code === 'EBLOCKEDADDRESS' ? 'must not point at a private or local address' : 'host could not be resolved';
+    throw makeHttpError(400, `url ${reason}`);
+  }
+}
+
+async function listWebhooks(userId) {
+  const { data, error } = await supabase
+    .from('webhooks')
+    .select('*')
+    .eq('user_id', normalizeUserId(userId))
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    if (isMissingTableError(error, 'webhooks')) return [];
+    console.error('[webhooks] list failed:', error.message);
+    throw error;
+  }
+  return (data || []).map((row) => toPublicWebhook(row));
+}
+
+async function createWebhook(payload, userId) {
+  const owner = normalizeUserId(userId);
+  const fields = parseWebhookPayload(payload);
+  await assertPublicWebhookUrl(fields.url);
+
+  const existing = await listWebhooks(owner);
+  if (existing.length >= MAX_WEBHOOKS_PER_USER) {
+    throw makeHttpError(400, `At most ${MAX_WEBHOOKS_PER_USER} webhooks per user`);
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('webhooks')
+    .insert([{ ...fields, user_id: owner, secret: newWebhookSecret(), is_active: fields.is_active ?? true, created_at: now, updated_at: now }])
+    .select('*')
+    .single();
+
+  if (error) {
+    console.error('[webhooks] create failed:', error.message);
+    throw error;
+  }
+  return toPublicWebhook(data, { includeSecret: true });
+}
+
+// payload.rotate_secret: true issues a new signing secret (returned once).
+function parseWebhookId(id) {
+  const webhookId = Number(id);
+  if (!Number.isInteger(webhookId) || webhookId <= 0) throw makeHttpError(404, 'Webhook not found');
+  return webhookId;
+}
+
+async function updateWebhook(id, payload, userId) {
+  const webhookId = parseWebhookId(id);
+  const fields = parseWebhookPayload(payload, { partial: true });
+  const rotate = payload?.rotate_secret === true;
+  if (rotate) fields.secret = newWebhookSecret();
+  if (Object.keys(fields).length === 0) throw makeHttpError(400, 'Nothing to update');
+  if (fields.url) await assertPublicWebhookUrl(fields.url);
+
+  const { data, error } = await supabase
+    .from('webhooks')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', webhookId)
+    .eq('user_id', normalizeUserId(userId))
+    .select('*')
+    .maybeSingle();
+
+  if (error) {
+    console.error('[webhooks] update failed:', error.message);
+    throw error;
+  }
+  if (!data) throw makeHttpError(404, 'Webhook not found');
+  return toPublicWebhook(data, { includeSecret: rotate });
+}
+
+async function deleteWebhook(id, userId) {
+  const webhookId = parseWebhookId(id);
+  const { data, error } = await supabase
+    .from('webhooks')
+    .delete()
+    .eq('id', webhookId)
+    .eq('user_id', normalizeUserId(userId))
+    .select('id');
+
+  if (error) {
+    console.error('[webhooks] delete failed:', error.message);
+    throw error;
+  }
+  if (!data || data.length === 0) throw makeHttpError(404, 'Webhook not found');
+  return true;
+}
+
+// ownerId scopes alert/report events like web push does; null (readings) reaches every owner.
+async function getWebhooksForEvent(eventType, ownerId = null) {
+  let query = supabase
+    .from('webhooks')
+    .select('*')
+    .eq('is_active', true)
+    .contains('events', [eventType]);
+
+  const owner = ownerId ? normalizeUserId(ownerId) : null;
+  if (owner && owner !== DEFAULT_USER_ID) query = query.eq('user_id', owner);
+
+  const { data, error } = await query;
+  if (error) {
+    if (isMissingTableError(error, 'webhooks')) return [];
+    console.error('[webhooks] fetch failed:', error.message);
+    return [];
+  }
+
+  let rows = data || [];
+  if (owner === DEFAULT_USER_ID) {
+    try {
+      const customUsers = new Set(await listCustomSettingsUserIds());
+      rows = rows.filter((row) => !customUsers.has(normalizeUserId(row.user_id)));
+    } catch (err) {
+      console.warn('[webhooks] custom user lookup failed; sending to all:', err.message);
+    }
+  }
+  return rows;
+}
+
+async function recordWebhookDelivery(id, { ok, statusCode, error: deliveryError, consecutiveFailures }) {
+  const { error } = await supabase
+    .from('webhooks')
+    .update({
+      last_delivery_at: new Date().toISOString(),
+      last_status: ok ? 'success' : 'failed',
+      last_status_code: statusCode ?? null,
+      last_error: ok ? null : String(deliveryError || '').slice(0, 500) || null,
+      consecutive_failures: consecutiveFailures
+    })
+    .eq('id', id);
+
+  if (error && !isMissingTableError(error, 'webhooks')) {
+    console.warn('[webhooks] delivery status update failed:', error.message);
+  }
+}
+
 // =====================================================
 // Sharing
 // =====================================================
@@ -919,9 +4166,30 @@ function buildShareLinks(userIdInput, requestOrigin) {
 module.exports = {
   supabase,
   DEFAULT_USER_ID,
+  DEFAULT_DEVICE_ID,
+  GRAPH_METRICS: Object.keys(METRIC_COLUMN_MAP),
+  getMetricMeta,
+  describeRateWindow,
+  resolveSettingsOwner,
+  normalizeDeviceId,
+  normalizeSensorData,
+  checkSensorDataSchema,
+  backfillDerivedMetrics,
   insertSensorData,
+  isPermanentInsertError,
   getLatestSensorData,
+  describeSensorHealth,
   getGraphData,
+  prepareSensorExport,
+  iterateSensorExportRows,
+  recordDeviceSeen,
+  getDevices,
+  getCalibrationProfiles,
+  saveCalibrationProfile,
+  deleteCalibrationProfile,
+  applyCalibration,
+  insertSensorReject,
+  getSensorRejects,
   insertWebNotification,
   getWebNotifications,
   markNotificationRead,
@@ -930,13 +4198,35 @@ module.exports = {
   getNotificationSettings,
   setNotificationSettings,
   processScheduledReportDispatch,
+  getReportHistory,
+  buildCurrentReport,
+  PERIOD_REPORT_TYPES,
+  buildPeriodReport,
+  advanceAlertState,
   processThresholdAlerts,
+  processSensorWatchdog,
   getVapidPublicKey,
   savePushSubscription,
   deactivatePushSubscription,
-  sendWebPushNotification,
+  sendPushToEndpoint,
   upsertTelegramSubscriber,
   setTelegramSubscription,
+  getTelegramSubscriber,
   getActiveTelegramSubscribers,
+  getTelegramChatsForUser,
+  unlinkTelegramChat,
+  WEBHOOK_EVENTS,
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhooksForEvent,
+  recordWebhookDelivery,
+  DELIVERY_PENDING,
+  DELIVERY_DELIVERED,
+  DELIVERY_FAILED,
+  claimDueDeliveries,
+  updateDelivery,
+  getNotificationDeliveries,
   buildShareLinks
 };
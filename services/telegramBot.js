@@ -1,48 +1,120 @@
 // =====================================================
 // Telegram Bot Service
+// The bot is always created when TELEGRAM_BOT_TOKEN is set, so reports and
+// alerts can be sent. The mode only picks how commands come in: a webhook when
+// RENDER_EXTERNAL_URL is set, none otherwise; long polling only when
+// TELEGRAM_MODE=polling asks for it, since it deletes the webhook.
+// Both inbound modes hand every message to the same onMessage handler.
 // =====================================================
 
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
 
 let bot = null;
+let webhookSecret = null;
 
-function startTelegramBot() {
-  if (!process.env.TELEGRAM_BOT_TOKEN) {
+// TELEGRAM_WEBHOOK_SECRET wins; otherwise a stable secret is derived from the token
+// so restarts and multiple instances agree without extra configuration.
+function resolveWebhookSecret(token) {
+  const configured = String(process.env.TELEGRAM_WEBHOOK_SECRET || '').trim();
+  if (configured) return configured;
+  return crypto.createHash('sha256').update(`campussense-webhook:${token}`).digest('hex');
+}
+
+// TELEGRAM_MODE: webhook | polling | off (default: webhook if a public URL is known, else off).
+// 'off' only stops inbound commands; sending still works.
+// Polling is never the default: it removes the webhook, so a local run with the
+// production token would silently cut off the deployed bot.
+function resolveBotMode() {
+  const mode = String(process.env.TELEGRAM_MODE || '').trim().toLowerCase();
+  if (['webhook', 'polling', 'off'].includes(mode)) return mode;
+  return process.env.RENDER_EXTERNAL_URL ? 'webhook' : 'off';
+}
+
+async function startTelegramBot({ onMessage } = {}) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) {
     console.warn("⚠️ Telegram token missing");
     return;
   }
 
-  bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN);
+  bot = new TelegramBot(token);
+
+  const mode = resolveBotMode();
+  if (mode === 'off') {
+    console.warn("⚠️ Telegram commands disabled, sending only (set TELEGRAM_MODE=polling or RENDER_EXTERNAL_URL to receive them)");
+    return;
+  }
 
-  const webhookUrl = process.env.RENDER_EXTERNAL_URL;
+  if (mode === 'webhook') {
+    const webhookUrl = process.env.RENDER_EXTERNAL_URL;
+    if (!webhookUrl) {
+      console.warn("⚠️ TELEGRAM_MODE=webhook needs RENDER_EXTERNAL_URL");
+      return;
+    }
+    webhookSecret = resolveWebhookSecret(token);
+    try {
+      await bot.setWebHook(`${webhookUrl}/api/telegram-webhook`, { secret_token: webhookSecret });
+      console.log("✅ Telegram webhook set");
+    } catch (err) {
+      console.error('[telegram] setWebHook failed:', err.message);
+    }
+    return;
+  }
 
-  if (webhookUrl) {
-    bot.setWebHook(`${webhookUrl}/api/telegram-webhook`);
-    console.log("✅ Telegram webhook set");
+  // Polling and an active webhook are mutually exclusive on Telegram's side.
+  try {
+    await bot.deleteWebHook();
+  } catch (err) {
+    console.warn('[telegram] deleteWebHook failed:', err.message);
   }
+  if (onMessage) bot.on('message', (msg) => onMessage(bot, msg));
+  bot.on('polling_error', (err) => console.warn('[telegram] polling error:', err.message));
+  bot.startPolling();
+  console.log("✅ Telegram long polling started");
+}
+
+// Checks the X-Telegram-Bot-Api-Secret-Token header of a webhook request.
+function isValidWebhookSecret(headerValue) {
+  if (!webhookSecret || typeof headerValue !== 'string') return false;
+  const expected = Buffer.from(webhookSecret);
+  const received = Buffer.from(headerValue);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
 }
 
 function getBotInstance() {
   return bot;
 }
 
+function formatDerived(value, unit) {
+  return Number.isFinite(value) ? `${value.toFixed(1)}${unit}` : 'N/A';
+}
+
 function formatStatus(data) {
   if (!data) return "No data available";
 
+  const co2Band = data.co2_band ? ` (${data.co2_band.label})` : '';
+
   return `
 📊 *CampusSense Status*
 
 🌡 Temp: ${data.bmp_temp}°C
 💧 Humidity: ${data.humidity}%
-🫁 CO₂: ${data.co2_ppm}
+🌫 Dew point: ${formatDerived(data.dew_point, '°C')}
+🥵 Heat index: ${formatDerived(data.heat_index, '°C')}
+💦 Abs humidity: ${formatDerived(data.absolute_humidity, ' g/m³')}
+🫁 CO₂: ${data.co2_ppm} ppm${co2Band}
 ☀️ UV: ${data.uv_index}
 🌧 Rain: ${data.rain_pcnt}%
 💡 Light: ${data.light_pcnt}%
+${data.stale ? `\n⚠️ Last reading ${Math.round((data.age_seconds || 0) / 60)} min ago, sensor may be offline` : ''}
   `;
 }
 
 module.exports = {
+  resolveBotMode,
   startTelegramBot,
   getBotInstance,
+  isValidWebhookSecret,
   formatStatus
 };
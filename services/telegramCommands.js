@@ -0,0 +1,299 @@
+// =====================================================
+// Telegram command handling
+// =====================================================
+
+const { formatStatus } = require('./telegramBot');
+const { renderLineChartPng } = require('./chartRenderer');
+const {
+  DEFAULT_USER_ID,
+  GRAPH_METRICS,
+  resolveSettingsOwner,
+  getMetricMeta,
+  describeRateWindow,
+  getLatestSensorData,
+  describeSensorHealth,
+  getGraphData,
+  getThresholdSettings,
+  setThresholdSettings,
+  buildCurrentReport,
+  upsertTelegramSubscriber,
+  setTelegramSubscription,
+  getTelegramSubscriber
+} = require('./supabaseClient');
+
+const THRESHOLD_METRICS = ['co2', 'uv', 'bmp_temp', 'pressure', 'rain_percentage', 'heat_index', 'dew_point', 'absolute_humidity'];
+const METRIC_ALIASES = {
+  temp: 'bmp_temp',
+  temperature: 'bmp_temp',
+  aqi: 'co2',
+  rain: 'rain_percentage',
+  light: 'light_level',
+  dew: 'dew_point',
+  heat: 'heat_index'
+};
+const CHART_POINTS = 200;
+// Telegram only passes [A-Za-z0-9_-]{1,64} through a ?start= deep link.
+const START_PAYLOAD_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+
+const HELP_TEXT = [
+  'CampusSense commands:',
+  '/status - latest reading',
+  '/history <metric> [range] - min/avg/max, e.g. /history temp 7d',
+  '/chart <metric> [range] - chart image, e.g. /chart humidity 24h',
+  '/thresholds - current alert limits',
+  '/set <metric> <value> - change a limit (admin chats only)',
+  '/report - digest since the last scheduled report',
+  '/start - subscribe to alerts and reports',
+  '/stop - unsubscribe',
+  '/whoami - dashboard user this chat is linked to',
+  '',
+  `Metrics: ${GRAPH_METRICS.join(', ')} (aliases: ${Object.keys(METRIC_ALIASES).join(', ')})`,
+  'Ranges: 5m, 1h, 24h, 7d, 30d, 90d'
+].join('\n');
+
+// "/History@CampusSenseBot temp 7d" -> { command: '/history', args: ['temp', '7d'] }
+function parseCommand(text) {
+  const [head = '', ...args] = String(text || '').trim().split(/\s+/);
+  return { command: head.split('@')[0].toLowerCase(), args };
+}
+
+function resolveMetricArg(raw) {
+  const key = String(raw || '').trim().toLowerCase();
+  return METRIC_ALIASES[key] || key;
+}
+
+function getAdminChatIds() {
+  return String(process.env.TELEGRAM_ADMIN_CHAT_IDS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+}
+
+function isAdminChat(chatId) {
+  return getAdminChatIds().includes(String(chatId));
+}
+
+// Settings owner whose thresholds and reports this chat sees.
+async function resolveChatOwner(chatId) {
+  const subscriber = await getTelegramSubscriber(chatId);
+  return subscriber?.user_id ? resolveSettingsOwner(subscriber.user_id) : DEFAULT_USER_ID;
+}
+
+function describeValue(metric, value) {
+  const meta = getMetricMeta(metric);
+  if (!Number.isFinite(value)) return 'N/A';
+  return `${value.toFixed(meta.decimals)}${meta.unit ? ` ${meta.unit}` : ''}`;
+}
+
+// Collapses getGraphData buckets into one min/avg/max (avg weighted by sample count).
+function summarizeBuckets(points) {
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  let count = 0;
+  for (const p of points) {
+    const weight = p.count > 0 ? p.count : 1;
+    min = Math.min(min, Number.isFinite(p.min) ? p.min : p.value);
+    max = Math.max(max, Number.isFinite(p.max) ? p.max : p.value);
+    sum += p.value * weight;
+    count += weight;
+  }
+  if (count === 0) return null;
+  return { min, max, avg: sum / count, count };
+}
+
+function describeSummary(metric, range, summary) {
+  const label = getMetricMeta(metric).label;
+  if (!summary) return `${label} (${range}): no data in this range.`;
+  return [
+    `${label} (${range})`,
+    `Min ${describeValue(metric, summary.min)} | Avg ${describeValue(metric, summary.avg)} | Max ${describeValue(metric, summary.max)}`,
+    `Samples: ${summary.count}`
+  ].join('\n');
+}
+
+// Returns null on bad input after replying with the reason.
+async function loadHistory(bot, chatId, args, usage) {
+  if (args.length === 0) {
+    await bot.sendMessage(chatId, `Usage: ${usage}`);
+    return null;
+  }
+  const metric = resolveMetricArg(args[0]);
+  const range = args[1] || '24h';
+  try {
+    const points = await getGraphData({ metric, range, points: CHART_POINTS });
+    return { metric, range, points };
+  } catch (err) {
+    if (err?.statusCode !== 400) throw err;
+    await bot.sendMessage(chatId, `${err.message}\nUsage: ${usage}`);
+    return null;
+  }
+}
+
+async function handleHistory(bot, chatId, args) {
+  const history = await loadHistory(bot, chatId, args, '/history <metric> [range]');
+  if (!history) return;
+  await bot.sendMessage(chatId, describeSummary(history.metric, history.range, summarizeBuckets(history.points)));
+}
+
+async function handleChart(bot, chatId, args) {
+  const history = await loadHistory(bot, chatId, args, '/chart <metric> [range]');
+  if (!history) return;
+
+  const summary = summarizeBuckets(history.points);
+  if (!summary) {
+    await bot.sendMessage(chatId, describeSummary(history.metric, history.range, null));
+    return;
+  }
+  await bot.sendPhoto(
+    chatId,
+    renderLineChartPng(history.points),
+    { caption: describeSummary(history.metric, history.range, summary) },
+    { filename: `${history.metric}-${history.range}.png`, contentType: 'image/png' }
+  );
+}
+
+async function handleStatus(bot, chatId) {
+  const latest = await getLatestSensorData();
+  await bot.sendMessage(chatId, formatStatus(latest && { ...latest, ...describeSensorHealth(latest) }));
+}
+
+async function handleThresholds(bot, chatId) {
+  const settings = await getThresholdSettings(await resolveChatOwner(chatId));
+  const lines = THRESHOLD_METRICS.map((metric) => {
+    const rule = settings.alert_if_above?.[metric] === false ? '<=' : '>=';
+    const critical = settings.tuning?.[metric]?.critical ? ' (critical)' : '';
+    // Derived metrics have no limit until one is set.
+    if (settings[metric] === null) return `${getMetricMeta(metric).label} (${metric}): not set`;
+    return `${getMetricMeta(metric).label} (${metric}): ${rule} ${describeValue(metric, settings[metric])}${critical}`;
+  });
+  const rateLines = (settings.rate_rules || []).map((rule) =>
+    `${getMetricMeta(rule.metric).label}: ${rule.direction} >= ${describeValue(rule.metric, rule.delta)} in ${describeRateWindow(rule.window_minutes)}`);
+  if (rateLines.length > 0) lines.push('', 'Rate of change', ...rateLines);
+  if (settings.temp_divergence_tolerance > 0) {
+    lines.push('', `BMP vs DHT temp: alert when they differ by more than ${describeValue('bmp_temp', settings.temp_divergence_tolerance)}`);
+  }
+  await bot.sendMessage(chatId, `Alert thresholds\n${lines.join('\n')}`);
+}
+
+async function handleSet(bot, chatId, args) {
+  if (!isAdminChat(chatId)) {
+    await bot.sendMessage(chatId, 'Only admin chats can change thresholds.');
+    return;
+  }
+
+  const metric = resolveMetricArg(args[0]);
+  const value = Number(args[1]);
+  if (!THRESHOLD_METRICS.includes(metric) || args[1] === undefined || !Number.isFinite(value)) {
+    await bot.sendMessage(chatId, `Usage: /set <metric> <value>\nMetrics: ${THRESHOLD_METRICS.join(', ')}`);
+    return;
+  }
+
+  try {
+    const saved = await setThresholdSettings({ [metric]: value }, await resolveChatOwner(chatId));
+    await bot.sendMessage(chatId, `${getMetricMeta(metric).label} threshold set to ${describeValue(metric, saved[metric])}.`);
+  } catch (err) {
+    if (err?.statusCode !== 400) throw err;
+    await bot.sendMessage(chatId, err.message);
+  }
+}
+
+async function handleReport(bot, chatId) {
+  const report = await buildCurrentReport(await resolveChatOwner(chatId));
+  await bot.sendMessage(chatId, report.telegram);
+}
+
+async function handleStart(bot, msg, args) {
+  const chatId = msg.chat.id;
+  const payload = args[0];
+  if (payload && !START_PAYLOAD_REGEX.test(payload)) {
+    await bot.sendMessage(chatId, 'That link is not valid. Open the Telegram link from your dashboard again.');
+    return;
+  }
+
+  const ok = await upsertTelegramSubscriber({
+    chatId,
+    firstName: msg.chat.first_name,
+    username: msg.chat.username,
+    isSubscribed: true,
+    userId: payload || undefined
+  });
+  const linked = payload && ok ? `\nLinked to dashboard user ${payload}.` : '';
+  await bot.sendMessage(
+    chatId,
+    `Subscribed to CampusSense alerts.${linked}\nUse /status for latest reading, /help for all commands or /stop to unsubscribe.`
+  );
+}
+
+async function handleWhoami(bot, chatId) {
+  const subscriber = await getTelegramSubscriber(chatId);
+  if (!subscriber) {
+    await bot.sendMessage(chatId, `Chat ${chatId} is not registered. Send /start to subscribe.`);
+    return;
+  }
+
+  let binding = 'not linked to a dashboard user (global alerts and reports)';
+  if (subscriber.user_id) {
+    const owner = await resolveSettingsOwner(subscriber.user_id);
+    binding = owner === DEFAULT_USER_ID
+      ? `${subscriber.user_id} (follows the global settings)`
+      : `${subscriber.user_id} (own settings)`;
+  }
+  await bot.sendMessage(chatId, [
+    `Chat: ${chatId}`,
+    `Dashboard user: ${binding}`,
+    `Subscribed: ${subscriber.is_subscribed ? 'yes' : 'no'}`
+  ].join('\n'));
+}
+
+async function handleTelegramMessage(bot, msg) {
+  const chatId = msg?.chat?.id;
+  if (!bot || !chatId || !msg?.text) return;
+
+  const { command, args } = parseCommand(msg.text);
+  try {
+    switch (command) {
+      case '/start':
+        await handleStart(bot, msg, args);
+        break;
+      case '/whoami':
+        await handleWhoami(bot, chatId);
+        break;
+      case '/stop':
+        await setTelegramSubscription(chatId, false);
+        await bot.sendMessage(chatId, 'Unsubscribed from CampusSense alerts.');
+        break;
+      case '/status':
+        await handleStatus(bot, chatId);
+        break;
+      case '/history':
+        await handleHistory(bot, chatId, args);
+        break;
+      case '/chart':
+        await handleChart(bot, chatId, args);
+        break;
+      case '/thresholds':
+        await handleThresholds(bot, chatId);
+        break;
+      case '/set':
+        await handleSet(bot, chatId, args);
+        break;
+      case '/report':
+        await handleReport(bot, chatId);
+        break;
+      default:
+        await bot.sendMessage(chatId, HELP_TEXT);
+    }
+  } catch (err) {
+    console.error(`[telegram] ${command} failed for chat ${chatId}:`, err.message);
+    try {
+      await bot.sendMessage(chatId, 'Sorry, that command failed. Please try again later.');
+    } catch {
+      // chat unreachable; nothing more to do
+    }
+  }
+}
+
+module.exports = {
+  handleTelegramMessage
+};
@@ -0,0 +1,134 @@
+// =====================================================
+// Outbound webhook delivery
+// Each delivery is signed with the endpoint's secret:
+//   X-CampusSense-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+// Failed deliveries are retried in the background with exponential backoff.
+// Receivers must resolve to public addresses and redirects are not followed.
+// =====================================================
+
+const crypto = require('crypto');
+const { getWebhooksForEvent, recordWebhookDelivery } = require('./supabaseClient');
+const { postToPublicUrl } = require('./outboundUrl');
+
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5);
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// reading.ingested fires on every reading; cache the endpoint list briefly.
+const ENDPOINT_CACHE_MS = 30 * 1000;
+
+const endpointCache = new Map();
+const failureCounts = new Map();
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function buildChatText(envelope, boldMark) {
+  const { title, message } = envelope.data || {};
+  if (title) return `${boldMark}${title}${boldMark}\n${message || ''}`;
+  return `CampusSense ${envelope.event}: ${JSON.stringify(envelope.data)}`;
+}
+
+// Slack and Discord incoming webhooks only accept their own message shapes.
+function buildBody(webhook, envelope) {
+  if (webhook.format === 'slack') return JSON.stringify({ text: buildChatText(envelope, '*') });
+  if (webhook.format === 'discord') return JSON.stringify({ content: buildChatText(envelope, '**') });
+  return JSON.stringify(envelope);
+}
+
+async function postOnce(webhook, envelope) {
+  const body = buildBody(webhook, envelope);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return postToPublicUrl(webhook.url, {
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'CampusSense-Webhooks/1.0',
+      'X-CampusSense-Event': envelope.event,
+      'X-CampusSense-Delivery': envelope.id,
+      'X-CampusSense-Timestamp': timestamp,
+      'X-CampusSense-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+    },
+    body,
+    timeoutMs: REQUEST_TIMEOUT_MS
+  });
+}
+
+// 4xx other than 408/429 means the receiver rejected the payload; retrying will not help.
+function isRetryableStatus(statusCode) {
+  if (!statusCode) return true;
+  if (statusCode === 408 || statusCode === 429) return true;
+  return statusCode >= 500;
+}
+
+async function deliver(webhook, envelope, attempt = 1) {
+  let statusCode = null;
+  let error = null;
+  let blocked = false;
+  try {
+    statusCode = await postOnce(webhook, envelope);
+    if (statusCode >= 200 && statusCode < 300) {
+      failureCounts.set(webhook.id, 0);
+      await recordWebhookDelivery(webhook.id, { ok: true, statusCode, consecutiveFailures: 0 });
+      return;
+    }
+    error = `HTTP ${statusCode}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? 'timeout' : err.message;
+    // A receiver that now resolves to a private address will not come back on retry.
+    blocked = err.code === 'EBLOCKEDADDRESS';
+  }
+
+  const failures = (failureCounts.get(webhook.id) ?? webhook.consecutive_failures ?? 0) + 1;
+  failureCounts.set(webhook.id, failures);
+  await recordWebhookDelivery(webhook.id, { ok: false, statusCode, error, consecutiveFailures: failures });
+
+  if (attempt >= MAX_ATTEMPTS || blocked || !isRetryableStatus(statusCode)) {
+    console.warn(`[webhooks] ${envelope.event} ${envelope.id} to ${webhook.url} gave up after ${attempt} attempts: ${error}`);
+    return;
+  }
+
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1));
+  setTimeout(() => {
+    deliver(webhook, envelope, attempt + 1).catch((err) => console.error('[webhooks] retry failed:', err.message));
+  }, delay);
+}
+
+async function loadEndpoints(event, ownerId) {
+  const key = `${event}|${ownerId || '*'}`;
+  const cached = endpointCache.get(key);
+  if (cached && Date.now() - cached.at < ENDPOINT_CACHE_MS) return cached.rows;
+
+  const rows = await getWebhooksForEvent(event, ownerId);
+  endpointCache.set(key, { at: Date.now(), rows });
+  return rows;
+}
+
+// Call after registry changes so edits apply to the next event.
+function invalidateWebhookCache() {
+  endpointCache.clear();
+}
+
+// Fire-and-forget: never throws and never waits on receivers.
+function emitWebhookEvent(event, data, { userId } = {}) {
+  loadEndpoints(event, userId)
+    .then((webhooks) => {
+      if (webhooks.length === 0) return;
+      const envelope = {
+        id: crypto.randomUUID(),
+        event,
+        created_at: new Date().toISOString(),
+        user_id: userId || null,
+        data
+      };
+      for (const webhook of webhooks) {
+        deliver(webhook, envelope).catch((err) => console.error('[webhooks] delivery failed:', err.message));
+      }
+    })
+    .catch((err) => console.error(`[webhooks] ${event} dispatch failed:`, err.message));
+}
+
+module.exports = {
+  emitWebhookEvent,
+  invalidateWebhookCache
+};
@@ -0,0 +1,22 @@
+-- Alert lifecycle: ok -> pending -> raised -> ok (cleared), with per-metric tuning.
+
+alter table public.alert_thresholds
+  add column if not exists hysteresis numeric null,
+  add column if not exists min_duration_seconds integer null;
+
+create table if not exists public.alert_states (
+  user_id text not null,
+  device_id text not null default 'default',
+  metric text not null,
+  state text not null default 'ok',
+  condition_since timestamp with time zone null,
+  raised_at timestamp with time zone null,
+  last_notified_at timestamp with time zone null,
+  cleared_at timestamp with time zone null,
+  peak_value double precision null,
+  last_value double precision null,
+  threshold_value double precision null,
+  updated_at timestamp with time zone not null default now(),
+  constraint alert_states_pkey primary key (user_id, device_id, metric),
+  constraint alert_states_state_check check (state in ('ok', 'pending', 'raised'))
+) tablespace pg_default;
@@ -0,0 +1,24 @@
+-- Rolling-baseline anomaly detection: per-metric sensitivity per settings owner,
+-- and every detected anomaly (flagged in /api/graph-data).
+
+alter table public.app_settings
+  add column if not exists anomaly_sensitivity jsonb not null default '{}'::jsonb;
+
+create table if not exists public.sensor_anomalies (
+  id bigint generated by default as identity not null,
+  user_id text not null default 'global-user',
+  device_id text not null default 'default',
+  metric text not null,
+  value double precision not null,
+  expected double precision not null,
+  deviation double precision not null,
+  z_score double precision not null,
+  sensitivity text not null,
+  notified boolean not null default false,
+  reading_at timestamp with time zone not null default now(),
+  created_at timestamp with time zone not null default now(),
+  constraint sensor_anomalies_pkey primary key (id)
+) tablespace pg_default;
+
+create index if not exists idx_sensor_anomalies_lookup
+  on public.sensor_anomalies using btree (user_id, metric, reading_at desc) tablespace pg_default;
@@ -0,0 +1,24 @@
+-- Calibration profiles applied at MQTT ingest. device_id '*' covers every
+-- device without its own profile. sensor_data.raw_values keeps the uncorrected
+-- value of every calibrated column, e.g. { "dht_temp": 29.8 }.
+
+create table if not exists public.calibration_profiles (
+  device_id text not null default '*',
+  metric text not null,
+  offset_value double precision not null default 0,
+  scale double precision not null default 1,
+  raw_low double precision null,
+  ref_low double precision null,
+  raw_high double precision null,
+  ref_high double precision null,
+  description text null,
+  updated_at timestamp with time zone not null default now(),
+  constraint calibration_profiles_pkey primary key (device_id, metric)
+) tablespace pg_default;
+
+alter table public.sensor_data
+  add column if not exists raw_values jsonb null;
+
+-- bmp_temp vs dht_temp tolerance (C) per settings owner; 0 turns the divergence check off.
+alter table public.app_settings
+  add column if not exists temp_divergence_tolerance double precision not null default 2;
@@ -0,0 +1,89 @@
+-- Derived comfort metrics stored next to the measured columns (computed at
+-- ingest by services/derivedMetrics.js), so sensor_data_buckets, thresholds and
+-- reports treat them like any other metric. Existing rows are backfilled with
+-- the same formulas (backfill_derived_metrics below); humidity is paired with
+-- the DHT temperature, BMP as fallback.
+
+alter table public.sensor_data
+  add column if not exists dew_point double precision null,
+  add column if not exists heat_index double precision null,
+  add column if not exists absolute_humidity double precision null;
+
+-- Magnus formula (Sonntag constants), C.
+create or replace function public.dew_point_c(p_temp double precision, p_humidity double precision)
+returns double precision
+language sql
+immutable
+as $$
+  select case
+    when p_temp is null or p_humidity is null or p_humidity <= 0 then null
+    else round((243.12 * g / (17.62 - g))::numeric, 2)::double precision
+  end
+  from (select ln(least(p_humidity, 100) / 100) + (17.62 * p_temp) / (243.12 + p_temp) as g) as magnus;
+$$;
+
+-- NOAA heat index (Rothfusz regression with its humidity adjustments), C.
+create or replace function public.heat_index_c(p_temp double precision, p_humidity double precision)
+returns double precision
+language sql
+immutable
+as $$
+  select case
+    when p_temp is null or p_humidity is null then null
+    else round(((
+      case
+        when (0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094) + t) / 2 < 80
+          then 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094)
+        else
+          -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh
+          - 0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+          + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh
+          - case when rh < 13 and t between 80 and 112
+              then ((13 - rh) / 4) * sqrt((17 - abs(t - 95)) / 17) else 0 end
+          + case when rh > 85 and t between 80 and 87
+              then ((rh - 85) / 10) * ((87 - t) / 5) else 0 end
+      end - 32) / 1.8)::numeric, 2)::double precision
+  end
+  from (select p_temp * 1.8 + 32 as t, greatest(0, least(p_humidity, 100)) as rh) as f;
+$$;
+
+-- Water vapour per cubic metre of air, g/m3.
+create or replace function public.absolute_humidity_gm3(p_temp double precision, p_humidity double precision)
+returns double precision
+language sql
+immutable
+as $$
+  select case
+    when p_temp is null or p_humidity is null then null
+    else round((6.112 * exp((17.67 * p_temp) / (p_temp + 243.5)) * greatest(0, least(p_humidity, 100)) * 2.1674
+      / (273.15 + p_temp))::numeric, 2)::double precision
+  end;
+$$;
+
+-- Backfills existing rows in batches so no single statement rewrites the whole
+-- table; returns the number of rows updated (0 when done). The server calls it
+-- in the background at startup. Until a row is backfilled, readings served by
+-- the API still carry the derived values (computed on read).
+create or replace function public.backfill_derived_metrics(p_limit integer default 5000)
+returns integer
+language plpgsql
+as $$
+declare
+  updated integer;
+begin
+  update public.sensor_data
+  set dew_point = public.dew_point_c(coalesce(dht_temp, bmp_temp), humidity),
+      heat_index = public.heat_index_c(coalesce(dht_temp, bmp_temp), humidity),
+      absolute_humidity = public.absolute_humidity_gm3(coalesce(dht_temp, bmp_temp), humidity)
+  where ctid in (
+    select ctid
+    from public.sensor_data
+    where dew_point is null
+      and humidity > 0
+      and coalesce(dht_temp, bmp_temp) is not null
+    limit greatest(1, least(p_limit, 50000))
+  );
+  get diagnostics updated = row_count;
+  return updated;
+end;
+$$;
@@ -0,0 +1,4 @@
+-- Email recipients per settings owner (SMTP notification channel).
+
+alter table public.app_settings
+  add column if not exists email_recipients jsonb not null default '[]'::jsonb;
@@ -0,0 +1,8 @@
+-- Cleared notices that quiet hours held back; sent once quiet hours end.
+
+alter table public.alert_states
+  add column if not exists held_notice jsonb null;
+
+create index if not exists idx_alert_states_held_notice
+  on public.alert_states using btree (user_id)
+  where held_notice is not null;
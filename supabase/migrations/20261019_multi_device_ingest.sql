@@ -0,0 +1,22 @@
+alter table public.sensor_data
+  add column if not exists device_id text not null default 'default';
+
+create index if not exists idx_sensor_data_device_created_at
+  on public.sensor_data using btree (device_id, created_at desc) tablespace pg_default;
+
+create table if not exists public.devices (
+  device_id text not null,
+  last_topic text null,
+  first_seen_at timestamp with time zone not null default now(),
+  last_seen_at timestamp with time zone not null default now(),
+  constraint devices_pkey primary key (device_id)
+) tablespace pg_default;
+
+create index if not exists idx_devices_last_seen
+  on public.devices using btree (last_seen_at desc) tablespace pg_default;
+
+insert into public.devices (device_id, last_seen_at)
+select device_id, max(created_at)
+from public.sensor_data
+group by device_id
+on conflict (device_id) do nothing;
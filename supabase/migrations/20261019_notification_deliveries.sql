@@ -0,0 +1,26 @@
+-- Notification outbox: one row per notification x channel x recipient.
+
+create table if not exists public.notification_deliveries (
+  id bigint generated by default as identity not null,
+  notification_id bigint null,
+  user_id text not null default 'global-user',
+  channel text not null,
+  recipient text not null,
+  status text not null default 'pending',
+  attempts integer not null default 0,
+  payload jsonb not null default '{}'::jsonb,
+  last_error text null,
+  next_attempt_at timestamp with time zone not null default now(),
+  delivered_at timestamp with time zone null,
+  created_at timestamp with time zone not null default now(),
+  updated_at timestamp with time zone not null default now(),
+  constraint notification_deliveries_pkey primary key (id),
+  constraint notification_deliveries_notification_id_fkey foreign key (notification_id)
+    references public.notifications (id) on delete cascade
+) tablespace pg_default;
+
+create index if not exists idx_notification_deliveries_due
+  on public.notification_deliveries using btree (status, next_attempt_at) tablespace pg_default;
+
+create index if not exists idx_notification_deliveries_notification
+  on public.notification_deliveries using btree (notification_id) tablespace pg_default;
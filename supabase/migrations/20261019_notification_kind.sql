@@ -0,0 +1,12 @@
+-- What each notification is about, so reports count alerts without parsing titles.
+-- kind is '<source>.<phase>' (threshold.raised, offline.cleared, anomaly.detected, report.sent, ...);
+-- metric is the sensor_data column involved, when there is one.
+-- Notifications written before this migration have no kind and are not counted.
+
+alter table public.notifications
+  add column if not exists kind text null,
+  add column if not exists metric text null;
+
+create index if not exists idx_notifications_kind_created_at
+  on public.notifications using btree (kind, created_at) tablespace pg_default
+  where kind is not null;
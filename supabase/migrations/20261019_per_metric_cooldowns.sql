@@ -0,0 +1,13 @@
+-- Per-metric alert rates and cooldowns (optionally per device).
+
+alter table public.alert_thresholds
+  add column if not exists alert_rate text null;
+
+alter table public.alert_states
+  add column if not exists last_raised_at timestamp with time zone null;
+
+create index if not exists idx_alert_states_user_metric_raised
+  on public.alert_states using btree (user_id, metric, last_raised_at desc) tablespace pg_default;
+
+alter table public.app_settings
+  add column if not exists alert_cooldown_per_device boolean not null default false;
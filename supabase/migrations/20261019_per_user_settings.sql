@@ -0,0 +1,28 @@
+-- Per-user configuration:
+-- - app_settings rows keyed 'user:<user_id>' (key='global' stays the default user)
+-- - alert_thresholds scoped by user_id
+-- - per-user read state for shared notifications
+
+alter table public.alert_thresholds
+  add column if not exists user_id text not null default 'global-user';
+
+alter table public.alert_thresholds
+  drop constraint if exists alert_thresholds_metric_key;
+
+create unique index if not exists alert_thresholds_user_metric_key
+  on public.alert_thresholds using btree (user_id, metric) tablespace pg_default;
+
+alter table public.notifications
+  add column if not exists user_id text;
+
+create index if not exists idx_notifications_user_created_at
+  on public.notifications using btree (user_id, created_at desc) tablespace pg_default;
+
+create table if not exists public.notification_reads (
+  notification_id bigint not null,
+  user_id text not null,
+  read_at timestamp with time zone not null default now(),
+  constraint notification_reads_pkey primary key (notification_id, user_id),
+  constraint notification_reads_notification_fkey foreign key (notification_id)
+    references public.notifications (id) on delete cascade
+) tablespace pg_default;
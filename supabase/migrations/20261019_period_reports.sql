@@ -0,0 +1,4 @@
+-- Weekly / monthly reports each settings owner wants attached to the scheduled dispatch.
+
+alter table public.app_settings
+  add column if not exists period_reports jsonb not null default '[]'::jsonb;
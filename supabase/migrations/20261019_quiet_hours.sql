@@ -0,0 +1,12 @@
+-- Quiet hours for threshold alerts, independent of the daily report times.
+
+alter table public.app_settings
+  add column if not exists quiet_hours_enabled boolean not null default false,
+  add column if not exists quiet_hours_start text not null default '22:00',
+  add column if not exists quiet_hours_end text not null default '07:00',
+  add column if not exists quiet_hours_days jsonb not null default '[0,1,2,3,4,5,6]'::jsonb,
+  add column if not exists quiet_hours_timezone text null;
+
+-- Critical metrics keep alerting during quiet hours.
+alter table public.alert_thresholds
+  add column if not exists critical boolean not null default false;
@@ -0,0 +1,6 @@
+-- Rate-of-change alert rules per settings owner, e.g.
+-- [{ "metric": "pressure", "direction": "fall", "delta": 3, "window_minutes": 180 }].
+-- Their lifecycle is kept in alert_states under metric 'rate:<rule id>'.
+
+alter table public.app_settings
+  add column if not exists rate_rules jsonb not null default '[]'::jsonb;
@@ -0,0 +1,67 @@
+-- The CO2 metric was stored under its historical name 'aqi' (it is ppm, not an
+-- air quality index). Renames it to 'co2' everywhere a metric name is kept.
+-- Where a 'co2' row already exists next to an 'aqi' one, the 'co2' row wins.
+-- app_settings.threshold_aqi keeps its column name; it holds the CO2 threshold.
+-- Safe to run more than once.
+
+delete from public.alert_thresholds a
+using public.alert_thresholds c
+where a.metric = 'aqi'
+  and c.metric = 'co2'
+  and c.user_id = a.user_id;
+
+update public.alert_thresholds set metric = 'co2' where metric = 'aqi';
+
+-- alert_states keys: '<metric>', 'stuck:<metric>' and 'rate:<metric>_<direction>_<delta>_<window>m'.
+update public.alert_states
+set metric = case
+  when metric = 'aqi' then 'co2'
+  when metric = 'stuck:aqi' then 'stuck:co2'
+  else 'rate:co2' || substr(metric, length('rate:aqi') + 1)
+end
+where (metric in ('aqi', 'stuck:aqi') or metric like 'rate:aqi\_%')
+  and not exists (
+    select 1
+    from public.alert_states c
+    where c.user_id = alert_states.user_id
+      and c.device_id = alert_states.device_id
+      and c.metric = case
+        when alert_states.metric = 'aqi' then 'co2'
+        when alert_states.metric = 'stuck:aqi' then 'stuck:co2'
+        else 'rate:co2' || substr(alert_states.metric, length('rate:aqi') + 1)
+      end
+  );
+
+delete from public.alert_states
+where metric in ('aqi', 'stuck:aqi') or metric like 'rate:aqi\_%';
+
+delete from public.calibration_profiles a
+using public.calibration_profiles c
+where a.metric = 'aqi'
+  and c.metric = 'co2'
+  and c.device_id = a.device_id;
+
+update public.calibration_profiles set metric = 'co2' where metric = 'aqi';
+
+update public.sensor_anomalies set metric = 'co2' where metric = 'aqi';
+
+update public.notifications set metric = 'co2' where metric = 'aqi';
+
+-- jsonb settings: an existing 'co2' entry wins over the renamed one.
+update public.app_settings
+set anomaly_sensitivity = jsonb_build_object('co2', anomaly_sensitivity -> 'aqi') || (anomaly_sensitivity - 'aqi')
+where anomaly_sensitivity ? 'aqi';
+
+update public.app_settings
+set rate_rules = (
+  select coalesce(
+    jsonb_agg(
+      case when rule ->> 'metric' = 'aqi' then jsonb_set(rule, '{metric}', '"co2"') else rule end
+      order by idx
+    ),
+    '[]'::jsonb
+  )
+  from jsonb_array_elements(rate_rules) with ordinality as r(rule, idx)
+)
+where jsonb_typeof(rate_rules) = 'array'
+  and exists (select 1 from jsonb_array_elements(rate_rules) as r(rule) where rule ->> 'metric' = 'aqi');
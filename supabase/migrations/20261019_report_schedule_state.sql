@@ -0,0 +1,40 @@
+-- Persist scheduled report state per settings owner x report time,
+-- and keep a log of every report that was sent.
+
+alter table public.scheduled_reports
+  add column if not exists user_id text not null default 'global-user',
+  add column if not exists last_sent_at timestamp with time zone null,
+  add column if not exists updated_at timestamp with time zone not null default now();
+
+-- Older deployments could hold several rows per report time; keep the one
+-- sent most recently so the unique index below can be built.
+delete from public.scheduled_reports r
+using (
+  select id,
+         row_number() over (
+           partition by user_id, report_time
+           order by last_sent_date desc nulls last, id desc
+         ) as rank
+  from public.scheduled_reports
+) ranked
+where r.id = ranked.id
+  and ranked.rank > 1;
+
+create unique index if not exists idx_scheduled_reports_user_time
+  on public.scheduled_reports using btree (user_id, report_time) tablespace pg_default;
+
+create table if not exists public.report_history (
+  id bigint generated by default as identity not null,
+  user_id text not null default 'global-user',
+  report_date date not null,
+  report_time text not null,
+  title text not null,
+  late boolean not null default false,
+  period_start timestamp with time zone null,
+  period_end timestamp with time zone null,
+  sent_at timestamp with time zone not null default now(),
+  constraint report_history_pkey primary key (id)
+) tablespace pg_default;
+
+create index if not exists idx_report_history_user_sent
+  on public.report_history using btree (user_id, sent_at desc) tablespace pg_default;
@@ -0,0 +1,51 @@
+-- Time-bucketed min/avg/max for one sensor_data column (used by /api/graph-data).
+create or replace function public.sensor_data_buckets(
+  p_column text,
+  p_from timestamp with time zone,
+  p_to timestamp with time zone,
+  p_bucket_seconds integer,
+  p_device_id text default null
+)
+returns table (
+  bucket_start timestamp with time zone,
+  min_value double precision,
+  avg_value double precision,
+  max_value double precision,
+  sample_count bigint
+)
+language plpgsql
+stable
+as $$
+begin
+  if p_bucket_seconds is null or p_bucket_seconds < 1 then
+    raise exception 'p_bucket_seconds must be positive';
+  end if;
+
+  if not exists (
+    select 1
+    from information_schema.columns
+    where table_schema = 'public'
+      and table_name = 'sensor_data'
+      and column_name = p_column
+  ) then
+    raise exception 'unsupported sensor_data column: %', p_column;
+  end if;
+
+  return query execute format(
+    'select to_timestamp(floor(extract(epoch from created_at) / $3) * $3) as bucket_start,
+            min(%1$I)::double precision,
+            avg(%1$I)::double precision,
+            max(%1$I)::double precision,
+            count(%1$I)
+       from public.sensor_data
+      where created_at >= $1
+        and created_at <= $2
+        and %1$I is not null
+        and ($4::text is null or device_id = $4)
+      group by 1
+      order by 1',
+    p_column
+  )
+  using p_from, p_to, p_bucket_seconds, p_device_id;
+end;
+$$;
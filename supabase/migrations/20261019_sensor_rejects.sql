@@ -0,0 +1,16 @@
+create table if not exists public.sensor_rejects (
+  id bigint generated by default as identity not null,
+  device_id text null,
+  topic text null,
+  reason text not null,
+  payload text null,
+  details jsonb null,
+  created_at timestamp with time zone not null default now(),
+  constraint sensor_rejects_pkey primary key (id)
+) tablespace pg_default;
+
+create index if not exists idx_sensor_rejects_created_at
+  on public.sensor_rejects using btree (created_at desc) tablespace pg_default;
+
+create index if not exists idx_sensor_rejects_device_created_at
+  on public.sensor_rejects using btree (device_id, created_at desc) tablespace pg_default;
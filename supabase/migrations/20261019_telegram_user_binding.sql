@@ -0,0 +1,7 @@
+-- Bind Telegram chats to dashboard users (via the /start deep-link payload).
+
+alter table public.telegram_subscribers
+  add column if not exists user_id text null;
+
+create index if not exists idx_telegram_subscribers_user_id
+  on public.telegram_subscribers using btree (user_id) tablespace pg_default;
@@ -0,0 +1,26 @@
+-- Outbound webhook registry with last delivery status per endpoint.
+
+create table if not exists public.webhooks (
+  id bigint generated by default as identity not null,
+  user_id text not null default 'global-user',
+  url text not null,
+  events text[] not null default '{}'::text[],
+  format text not null default 'json',
+  secret text not null,
+  description text null,
+  is_active boolean not null default true,
+  last_delivery_at timestamp with time zone null,
+  last_status text null,
+  last_status_code integer null,
+  last_error text null,
+  consecutive_failures integer not null default 0,
+  created_at timestamp with time zone not null default now(),
+  updated_at timestamp with time zone not null default now(),
+  constraint webhooks_pkey primary key (id)
+) tablespace pg_default;
+
+create index if not exists idx_webhooks_user_id
+  on public.webhooks using btree (user_id) tablespace pg_default;
+
+create index if not exists idx_webhooks_events
+  on public.webhooks using gin (events) tablespace pg_default;
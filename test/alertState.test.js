@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+
+const { advanceAlertState } = require('../services/supabaseClient');
+
+const T0 = Date.parse('2026-10-19T08:00:00.000Z');
+const MINUTE = 60 * 1000;
+const tuning = { hysteresis: 2, min_duration_seconds: 120 };
+
+function step(prev, value, nowMs, overrides = {}) {
+  return advanceAlertState(prev, {
+    value,
+    threshold: 30,
+    alertIfAbove: true,
+    tuning,
+    nowMs,
+    reminderMs: 60 * MINUTE,
+    ...overrides
+  });
+}
+
+test('a crossing stays pending until it has held for min_duration_seconds', () => {
+  const first = step({ state: 'ok' }, 31, T0);
+  assert.equal(first.next.state, 'pending');
+  assert.equal(first.transition, null);
+  assert.equal(first.next.condition_since, new Date(T0).toISOString());
+
+  const second = step(first.next, 33, T0 + MINUTE);
+  assert.equal(second.transition, null);
+  assert.equal(second.next.peak_value, 33);
+
+  const third = step(second.next, 32, T0 + 2 * MINUTE);
+  assert.equal(third.transition, 'raise');
+  assert.equal(third.next.condition_since, first.next.condition_since);
+  assert.equal(third.next.peak_value, 33);
+});
+
+test('dropping back before min duration resets the pending state', () => {
+  const pending = step({ state: 'ok' }, 31, T0).next;
+  const back = step(pending, 29, T0 + MINUTE);
+  assert.equal(back.next.state, 'ok');
+  assert.equal(back.next.condition_since, null);
+  assert.equal(back.transition, null);
+
+  const again = step(back.next, 31, T0 + 2 * MINUTE);
+  assert.equal(again.transition, null);
+  assert.equal(again.next.condition_since, new Date(T0 + 2 * MINUTE).toISOString());
+});
+
+test('a raised alert only clears past the hysteresis band', () => {
+  const raised = {
+    state: 'raised',
+    raised_at: new Date(T0).toISOString(),
+    last_notified_at: new Date(T0).toISOString(),
+    peak_value: 34
+  };
+
+  const inBand = step(raised, 29, T0 + MINUTE);
+  assert.equal(inBand.next.state, 'raised');
+  assert.equal(inBand.transition, null);
+  assert.equal(inBand.next.peak_value, 34);
+
+  const cleared = step(inBand.next, 27.9, T0 + 2 * MINUTE);
+  assert.equal(cleared.transition, 'clear');
+  assert.equal(cleared.next.state, 'ok');
+  assert.equal(cleared.next.raised_at, null);
+  assert.equal(cleared.next.cleared_at, new Date(T0 + 2 * MINUTE).toISOString());
+});
+
+test('a raised alert reports ongoing once the reminder interval has passed', () => {
+  const raised = { state: 'raised', raised_at: new Date(T0).toISOString(), last_notified_at: new Date(T0).toISOString() };
+
+  assert.equal(step(raised, 35, T0 + 59 * MINUTE).transition, null);
+  const reminder = step(raised, 35, T0 + 60 * MINUTE);
+  assert.equal(reminder.transition, 'ongoing');
+  assert.equal(reminder.next.peak_value, 35);
+});
+
+test('below-threshold rules cross and clear in the other direction', () => {
+  const overrides = { threshold: 980, alertIfAbove: false, tuning: { hysteresis: 3, min_duration_seconds: 0 } };
+
+  const raise = step({ state: 'ok' }, 975, T0, overrides);
+  assert.equal(raise.transition, 'raise');
+
+  const raised = { ...raise.next, state: 'raised', raised_at: raise.next.updated_at, last_notified_at: raise.next.updated_at };
+  assert.equal(step(raised, 970, T0 + MINUTE, overrides).next.peak_value, 970);
+  assert.equal(step(raised, 982, T0 + MINUTE, overrides).transition, null);
+  assert.equal(step(raised, 984, T0 + MINUTE, overrides).transition, 'clear');
+});
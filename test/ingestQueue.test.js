@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The queue reads its directory and limits at require time.
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-queue-'));
+process.env.INGEST_QUEUE_DIR = queueDir;
+process.env.INGEST_QUEUE_MAX_ENTRIES = '1000';
+
+// Stands in for Supabase: inserts fail (transiently) until `online` is set.
+const db = { online: false, inserted: [] };
+const supabaseClientPath = require.resolve('../services/supabaseClient');
+require.cache[supabaseClientPath] = {
+  id: supabaseClientPath,
+  filename: supabaseClientPath,
+  loaded: true,
+  exports: {
+    insertSensorData: async (data) => {
+      if (!db.online) return { ok: false, error: 'fetch failed', permanent: false };
+      db.inserted.push(...(Array.isArray(data) ? data : [data]));
+      return { ok: true, error: null, permanent: false };
+    },
+    insertSensorReject: async () => true,
+    recordDeviceSeen: async () => {}
+  }
+};
+
+const { startIngestQueue, submitSensorData, getIngestQueueStatus } = require('../services/ingestQueue');
+
+function reading(n) {
+  return { device_id: 'dev-a', co2_ppm: n, created_at: new Date(Date.UTC(2026, 9, 19, 0, 0, n)).toISOString() };
+}
+
+async function waitFor(check, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+test.after(() => fs.rmSync(queueDir, { recursive: true, force: true }));
+
+test('a full queue drops the oldest readings and replays the rest in order', async () => {
+  await startIngestQueue();
+
+  for (let n = 1; n <= 1005; n++) {
+    const result = await submitSensorData(reading(n));
+    assert.equal(result.buffered, true);
+  }
+
+  const status = getIngestQueueStatus();
+  assert.equal(status.depth, 1000);
+  assert.equal(status.dropped_total, 5);
+  assert.equal(status.oldest_reading_at, reading(6).created_at);
+
+  // The first failure scheduled a retry; let it find the database back.
+  db.online = true;
+  await waitFor(() => getIngestQueueStatus().depth === 0);
+
+  assert.equal(db.inserted.length, 1000);
+  assert.deepEqual(db.inserted.map((row) => row.co2_ppm), Array.from({ length: 1000 }, (_, i) => i + 6));
+  assert.equal(getIngestQueueStatus().replayed_total, 1000);
+});
+
+test('acked readings are not replayed again after a restart', () => {
+  const ack = Number(fs.readFileSync(path.join(queueDir, 'sensor_data.ack'), 'utf8'));
+  const lines = fs.readFileSync(path.join(queueDir, 'sensor_data.ndjson'), 'utf8').split('\n').filter(Boolean);
+  const pending = lines.map((line) => JSON.parse(line)).filter((entry) => entry.seq > ack);
+  assert.equal(pending.length, 0);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-queue-'));
+process.env.INGEST_QUEUE_DIR = queueDir;
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_KEY = process.env.SUPABASE_KEY || 'test-key';
+
+const supabaseClient = require('../services/supabaseClient');
+const { isPermanentInsertError } = supabaseClient;
+
+test.after(() => fs.rmSync(queueDir, { recursive: true, force: true }));
+
+test('constraint, invalid value and unknown column errors are permanent', () => {
+  assert.equal(isPermanentInsertError({ code: '23514', message: 'violates check constraint' }, 400), true);
+  assert.equal(isPermanentInsertError({ code: '23502', message: 'null value in column' }, 400), true);
+  assert.equal(isPermanentInsertError({ code: '22P02', message: 'invalid input syntax for type numeric' }, 400), true);
+  assert.equal(isPermanentInsertError({ code: 'PGRST102', message: 'Empty or invalid json' }, 400), true);
+  assert.equal(isPermanentInsertError({ message: 'conflict' }, 409), true);
+  assert.equal(isPermanentInsertError({ code: 'PGRST204', message: "Could not find the 'pm25' column of 'sensor_data' in the schema cache" }, 400), true);
+});
+
+test('network, server and auth errors are retried', () => {
+  assert.equal(isPermanentInsertError({ message: 'TypeError: fetch failed' }, 0), false);
+  assert.equal(isPermanentInsertError({ code: '57014', message: 'canceling statement due to statement timeout' }, 500), false);
+  assert.equal(isPermanentInsertError({ message: 'Service Unavailable' }, 503), false);
+  assert.equal(isPermanentInsertError({ code: '42501', message: 'permission denied for table sensor_data' }, 401), false);
+  assert.equal(isPermanentInsertError({ code: '42P01', message: 'relation "public.sensor_data" does not exist' }, 404), false);
+});
+
+// Stands in for Supabase behind the real classifier: a negative CO2 value
+// fails a check constraint, anything else is stored once the database is up.
+const db = { online: false, inserted: [], rejected: [] };
+Object.assign(supabaseClient, {
+  insertSensorData: async (data) => {
+    const rows = Array.isArray(data) ? data : [data];
+    const error = !db.online
+      ? { message: 'fetch failed' }
+      : rows.some((row) => row.co2_ppm < 0) && { code: '23514', message: 'violates check constraint "co2_ppm_range"' };
+    if (error) {
+      const status = db.online ? 400 : 0;
+      return { ok: false, error: error.message, permanent: isPermanentInsertError(error, status) };
+    }
+    db.inserted.push(...rows);
+    return { ok: true, error: null, permanent: false };
+  },
+  insertSensorReject: async ({ payload }) => {
+    db.rejected.push(payload);
+    return true;
+  },
+  recordDeviceSeen: async () => {}
+});
+
+const { startIngestQueue, submitSensorData, getIngestQueueStatus } = require('../services/ingestQueue');
+
+test('a rejected batch is retried row by row and only the bad row is quarantined', async () => {
+  await startIngestQueue();
+
+  const created = (n) => new Date(Date.UTC(2026, 9, 19, 0, 0, n)).toISOString();
+  await submitSensorData({ device_id: 'dev-a', co2_ppm: 410, created_at: created(1) });
+  await submitSensorData({ device_id: 'dev-a', co2_ppm: -5, created_at: created(2) });
+  await submitSensorData({ device_id: 'dev-a', co2_ppm: 420, created_at: created(3) });
+  assert.equal(getIngestQueueStatus().depth, 3);
+
+  db.online = true;
+  const deadline = Date.now() + 10000;
+  while (getIngestQueueStatus().depth > 0) {
+    if (Date.now() > deadline) throw new Error('timed out');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+
+  assert.deepEqual(db.inserted.map((row) => row.co2_ppm), [410, 420]);
+  assert.deepEqual(db.rejected.map((row) => row.co2_ppm), [-5]);
+  assert.equal(getIngestQueueStatus().rejected_total, 1);
+});
+
+test('a permanent rejection on the direct write path quarantines without queueing', async () => {
+  const result = await submitSensorData({ device_id: 'dev-a', co2_ppm: -1 });
+  assert.equal(result.rejected, true);
+  assert.equal(result.buffered, false);
+  assert.equal(getIngestQueueStatus().depth, 0);
+});